@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "UploadSession" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "lecture_id" UUID NOT NULL,
+    "user_id" UUID,
+    "original_filename" TEXT NOT NULL,
+    "mime_type" TEXT NOT NULL,
+    "upload_length" BIGINT NOT NULL,
+    "upload_offset" BIGINT NOT NULL DEFAULT 0,
+    "blob_container" TEXT NOT NULL,
+    "blob_name" TEXT NOT NULL,
+    "block_ids" TEXT[],
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "video_upload_id" UUID,
+    "expires_at" TIMESTAMPTZ(6) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UploadSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "UploadSession_status_expires_at_idx" ON "UploadSession"("status", "expires_at");
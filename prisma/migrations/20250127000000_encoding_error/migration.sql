@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "encoding_error" TEXT;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "width" INTEGER;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "height" INTEGER;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "frame_rate" DOUBLE PRECISION;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "container_format" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "video_codec" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "audio_codec" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "audio_channels" INTEGER;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "audio_channel_layout" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "bitrate" INTEGER;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "probed_at" TIMESTAMPTZ(6);
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "UploadSession" ADD COLUMN IF NOT EXISTS "multipart_upload_id" TEXT;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "thumbnail_count" INTEGER;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "thumbnail_interval" INTEGER;
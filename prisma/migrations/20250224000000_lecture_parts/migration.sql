@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "part_id" UUID;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "position" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "version" INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "is_current" BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "is_primary" BOOLEAN NOT NULL DEFAULT false;
+
+-- Existing uploads become one part each, ordered by upload time
+UPDATE "VideoUpload" SET "part_id" = "id" WHERE "part_id" IS NULL;
+UPDATE "VideoUpload" AS v
+SET "position" = o."rank" - 1
+FROM (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "lecture_id" ORDER BY "created_at") AS "rank"
+    FROM "VideoUpload"
+) AS o
+WHERE v."id" = o."id";
+
+-- The most recent upload is what lectures showed so far; keep it published
+UPDATE "VideoUpload" SET "is_primary" = true
+WHERE "id" IN (
+    SELECT DISTINCT ON ("lecture_id") "id"
+    FROM "VideoUpload"
+    ORDER BY "lecture_id", "created_at" DESC
+);
+
+ALTER TABLE "VideoUpload" ALTER COLUMN "part_id" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "VideoUpload_part_id_version_key" ON "VideoUpload"("part_id", "version");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "VideoUpload_lecture_id_is_current_position_idx" ON "VideoUpload"("lecture_id", "is_current", "position");
+
+-- AlterTable
+ALTER TABLE "UploadSession" ADD COLUMN IF NOT EXISTS "replace_part_id" UUID;
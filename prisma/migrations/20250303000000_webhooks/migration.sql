@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "transcription_status" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "transcription_language" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "transcription_error" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "transcript_json_blob" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "transcript_vtt_blob" TEXT;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "VideoUpload_transcription_job_id_idx" ON "VideoUpload"("transcription_job_id");
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "WebhookDelivery" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "source" TEXT NOT NULL,
+    "delivery_id" TEXT NOT NULL,
+    "status_code" INTEGER NOT NULL,
+    "response" JSONB NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WebhookDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "WebhookDelivery_source_delivery_id_key" ON "WebhookDelivery"("source", "delivery_id");
+CREATE INDEX IF NOT EXISTS "WebhookDelivery_created_at_idx" ON "WebhookDelivery"("created_at");
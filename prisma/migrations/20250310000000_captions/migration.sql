@@ -0,0 +1,48 @@
+-- AlterTable
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "course_id" UUID;
+ALTER TABLE "UploadSession" ADD COLUMN IF NOT EXISTS "course_id" UUID;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "VideoUpload_course_id_idx" ON "VideoUpload"("course_id");
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "CaptionTrack" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "upload_id" UUID NOT NULL,
+    "language" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "blob_name" TEXT NOT NULL,
+    "is_default" BOOLEAN NOT NULL DEFAULT false,
+    "created_by" UUID,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CaptionTrack_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "CaptionTrack_upload_id_idx" ON "CaptionTrack"("upload_id");
+
+-- CreateTable
+-- The search vector uses the "simple" configuration (no stemming), since
+-- transcripts are in several languages
+CREATE TABLE IF NOT EXISTS "TranscriptSegment" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "caption_track_id" UUID NOT NULL,
+    "upload_id" UUID NOT NULL,
+    "lecture_id" UUID NOT NULL,
+    "position" INTEGER NOT NULL,
+    "start_ms" INTEGER NOT NULL,
+    "end_ms" INTEGER NOT NULL,
+    "text" TEXT NOT NULL,
+    "search_vector" tsvector GENERATED ALWAYS AS (to_tsvector('simple', "text")) STORED,
+
+    CONSTRAINT "TranscriptSegment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "TranscriptSegment_caption_track_id_position_idx" ON "TranscriptSegment"("caption_track_id", "position");
+CREATE INDEX IF NOT EXISTS "TranscriptSegment_upload_id_idx" ON "TranscriptSegment"("upload_id");
+CREATE INDEX IF NOT EXISTS "TranscriptSegment_lecture_id_idx" ON "TranscriptSegment"("lecture_id");
+CREATE INDEX IF NOT EXISTS "TranscriptSegment_search_vector_idx" ON "TranscriptSegment" USING GIN ("search_vector");
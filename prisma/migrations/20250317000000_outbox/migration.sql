@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "OutboxEvent" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "type" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "lecture_id" UUID NOT NULL,
+    "data" JSONB NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "dispatched_at" TIMESTAMPTZ(6),
+
+    CONSTRAINT "OutboxEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "EventDelivery" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "event_id" UUID NOT NULL,
+    "sink" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "next_attempt_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_error" TEXT,
+    "delivered_at" TIMESTAMPTZ(6),
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "EventDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "OutboxEvent_dispatched_at_created_at_idx" ON "OutboxEvent"("dispatched_at", "created_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "EventDelivery_event_id_sink_key" ON "EventDelivery"("event_id", "sink");
+CREATE INDEX IF NOT EXISTS "EventDelivery_status_next_attempt_at_idx" ON "EventDelivery"("status", "next_attempt_at");
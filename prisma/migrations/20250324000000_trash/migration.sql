@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "deleted_at" TIMESTAMPTZ(6);
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "deleted_by" UUID;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "legal_hold" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "legal_hold_reason" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "legal_hold_by" UUID;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "legal_hold_at" TIMESTAMPTZ(6);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "VideoUpload_lecture_id_deleted_at_idx" ON "VideoUpload"("lecture_id", "deleted_at");
+CREATE INDEX IF NOT EXISTS "VideoUpload_deleted_at_idx" ON "VideoUpload"("deleted_at");
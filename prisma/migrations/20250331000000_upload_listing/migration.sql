@@ -0,0 +1,3 @@
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "VideoUpload_created_at_id_idx" ON "VideoUpload"("created_at", "id");
+CREATE INDEX IF NOT EXISTS "VideoUpload_file_size_id_idx" ON "VideoUpload"("file_size", "id");
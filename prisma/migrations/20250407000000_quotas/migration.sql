@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "VideoUpload" ALTER COLUMN "file_size" SET DATA TYPE BIGINT;
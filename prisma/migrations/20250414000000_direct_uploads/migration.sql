@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "sha256" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "upload_status" TEXT NOT NULL DEFAULT 'completed';
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "upload_expires_at" TIMESTAMPTZ(6);
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "replace_part_id" UUID;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "VideoUpload_upload_status_upload_expires_at_idx" ON "VideoUpload"("upload_status", "upload_expires_at");
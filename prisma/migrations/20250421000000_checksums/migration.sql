@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "md5" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "checksum_verified_at" TIMESTAMPTZ(6);
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "deduplicated_from" UUID;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "VideoUpload_sha256_file_size_idx" ON "VideoUpload"("sha256", "file_size");
+CREATE INDEX IF NOT EXISTS "VideoUpload_blob_name_idx" ON "VideoUpload"("blob_name");
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "source_upload_id" UUID;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "clip_start" DOUBLE PRECISION;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "clip_end" DOUBLE PRECISION;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "clip_method" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "trim_start" DOUBLE PRECISION;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "trim_end" DOUBLE PRECISION;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "VideoUpload_source_upload_id_idx" ON "VideoUpload"("source_upload_id");
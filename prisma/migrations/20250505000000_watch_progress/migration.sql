@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "WatchProgress" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "upload_id" UUID NOT NULL,
+    "lecture_id" UUID NOT NULL,
+    "user_id" UUID NOT NULL,
+    "position" DOUBLE PRECISION NOT NULL,
+    "playback_rate" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "watched" JSONB NOT NULL,
+    "watched_seconds" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "watch_time_seconds" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "heartbeats" INTEGER NOT NULL DEFAULT 0,
+    "completed_at" TIMESTAMPTZ(6),
+    "last_heartbeat_at" TIMESTAMPTZ(6) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "WatchProgress_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "WatchProgress_upload_id_user_id_key" ON "WatchProgress"("upload_id", "user_id");
+CREATE INDEX IF NOT EXISTS "WatchProgress_lecture_id_idx" ON "WatchProgress"("lecture_id");
+CREATE INDEX IF NOT EXISTS "WatchProgress_user_id_idx" ON "WatchProgress"("user_id");
@@ -0,0 +1,49 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "TranscriptionJob" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "upload_id" UUID NOT NULL,
+    "lecture_id" UUID NOT NULL,
+    "external_job_id" UUID,
+    "language" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "next_attempt_at" TIMESTAMPTZ(6),
+    "error" TEXT,
+    "transcript_json_blob" TEXT NOT NULL,
+    "transcript_vtt_blob" TEXT NOT NULL,
+    "urls_expire_at" TIMESTAMPTZ(6),
+    "requested_by" UUID,
+    "rerun_of" UUID,
+    "cancelled_by" UUID,
+    "submitted_at" TIMESTAMPTZ(6),
+    "started_at" TIMESTAMPTZ(6),
+    "finished_at" TIMESTAMPTZ(6),
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "TranscriptionJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "TranscriptionJob_upload_id_created_at_idx" ON "TranscriptionJob"("upload_id", "created_at");
+CREATE INDEX IF NOT EXISTS "TranscriptionJob_lecture_id_created_at_idx" ON "TranscriptionJob"("lecture_id", "created_at");
+CREATE INDEX IF NOT EXISTS "TranscriptionJob_external_job_id_idx" ON "TranscriptionJob"("external_job_id");
+CREATE INDEX IF NOT EXISTS "TranscriptionJob_status_next_attempt_at_idx" ON "TranscriptionJob"("status", "next_attempt_at");
+
+-- Existing transcriptions become one job each, with the service's job ID as
+-- both IDs and the outputs next to the video, where they were written so far
+INSERT INTO "TranscriptionJob" (
+    "id", "upload_id", "lecture_id", "external_job_id", "language", "status", "attempts", "error",
+    "transcript_json_blob", "transcript_vtt_blob", "submitted_at", "finished_at", "created_at", "updated_at"
+)
+SELECT
+    "transcription_job_id", "id", "lecture_id", "transcription_job_id", COALESCE("transcription_language", 'sl'),
+    COALESCE("transcription_status", 'pending'), 1, "transcription_error",
+    COALESCE("transcript_json_blob", regexp_replace("blob_name", '\.[^.]+$', '') || '.json'),
+    COALESCE("transcript_vtt_blob", regexp_replace("blob_name", '\.[^.]+$', '') || '.vtt'),
+    "updated_at",
+    CASE WHEN "transcription_status" IN ('completed', 'failed') THEN "updated_at" END,
+    "updated_at", CURRENT_TIMESTAMP
+FROM "VideoUpload"
+WHERE "transcription_job_id" IS NOT NULL
+ON CONFLICT ("id") DO NOTHING;
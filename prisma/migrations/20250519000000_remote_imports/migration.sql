@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "import_url" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "import_status" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "import_bytes" BIGINT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "import_total_bytes" BIGINT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "import_error" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "import_started_at" TIMESTAMPTZ(6);
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "import_finished_at" TIMESTAMPTZ(6);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "VideoUpload_import_status_idx" ON "VideoUpload"("import_status");
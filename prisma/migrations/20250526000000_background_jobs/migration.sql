@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "BackgroundJob" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "type" TEXT NOT NULL,
+    "payload" JSONB NOT NULL DEFAULT '{}',
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "max_attempts" INTEGER NOT NULL DEFAULT 5,
+    "run_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "dedupe_key" TEXT,
+    "locked_by" TEXT,
+    "locked_until" TIMESTAMPTZ(6),
+    "last_error" TEXT,
+    "result" JSONB,
+    "created_by" UUID,
+    "started_at" TIMESTAMPTZ(6),
+    "finished_at" TIMESTAMPTZ(6),
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "BackgroundJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "BackgroundJob_dedupe_key_key" ON "BackgroundJob"("dedupe_key");
+CREATE INDEX IF NOT EXISTS "BackgroundJob_status_type_run_at_idx" ON "BackgroundJob"("status", "type", "run_at");
+CREATE INDEX IF NOT EXISTS "BackgroundJob_status_locked_until_idx" ON "BackgroundJob"("status", "locked_until");
+CREATE INDEX IF NOT EXISTS "BackgroundJob_type_created_at_idx" ON "BackgroundJob"("type", "created_at");
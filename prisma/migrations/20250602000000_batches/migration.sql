@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "Batch" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "operation" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "dry_run" BOOLEAN NOT NULL DEFAULT false,
+    "selection" JSONB NOT NULL,
+    "options" JSONB NOT NULL DEFAULT '{}',
+    "total_items" INTEGER,
+    "succeeded" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "skipped" INTEGER NOT NULL DEFAULT 0,
+    "job_id" UUID,
+    "error" TEXT,
+    "created_by" UUID,
+    "started_at" TIMESTAMPTZ(6),
+    "finished_at" TIMESTAMPTZ(6),
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "Batch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "BatchItem" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "batch_id" UUID NOT NULL,
+    "position" INTEGER NOT NULL,
+    "upload_id" UUID,
+    "lecture_id" UUID,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "message" TEXT,
+    "result" JSONB,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "BatchItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "Batch_created_by_created_at_idx" ON "Batch"("created_by", "created_at");
+CREATE INDEX IF NOT EXISTS "Batch_status_finished_at_idx" ON "Batch"("status", "finished_at");
+CREATE INDEX IF NOT EXISTS "BatchItem_batch_id_position_idx" ON "BatchItem"("batch_id", "position");
+CREATE INDEX IF NOT EXISTS "BatchItem_batch_id_status_position_idx" ON "BatchItem"("batch_id", "status", "position");
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "title" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "description" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "language" TEXT;
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "tags" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[];
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "VideoUpload_language_idx" ON "VideoUpload"("language");
+CREATE INDEX IF NOT EXISTS "VideoUpload_tags_idx" ON "VideoUpload" USING GIN ("tags");
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "Chapter" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "upload_id" UUID NOT NULL,
+    "start" DOUBLE PRECISION NOT NULL,
+    "label" TEXT NOT NULL,
+    "created_by" UUID,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "Chapter_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "Chapter_upload_id_start_key" ON "Chapter"("upload_id", "start");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Batch" ADD COLUMN IF NOT EXISTS "creator_roles" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE "Batch" ADD COLUMN IF NOT EXISTS "creator_courses" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[];
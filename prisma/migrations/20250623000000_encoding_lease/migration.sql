@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "VideoUpload" ADD COLUMN IF NOT EXISTS "encoding_locked_until" TIMESTAMPTZ(6);
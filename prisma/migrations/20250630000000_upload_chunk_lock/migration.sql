@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "UploadSession" ADD COLUMN IF NOT EXISTS "chunk_locked_until" TIMESTAMPTZ(6);
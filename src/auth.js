@@ -0,0 +1,300 @@
+import fs from "fs";
+import crypto from "crypto";
+
+/**
+ * Authentication and authorization.
+ *
+ * The caller's identity comes from the gateway, either as trusted headers
+ * (`x-user-sub`, `x-user-roles`, `x-user-courses`) or as a forwarded JWT
+ * (`Authorization: Bearer ...`) that is verified against a JWKS file. Internal
+ * services authenticate with a shared key in `x-service-key`.
+ *
+ * Denials are sent as `{ error, code }` with status 401 (no or invalid
+ * credentials) or 403 (not allowed).
+ */
+
+export const ROLES = {
+  ADMIN: "admin",
+  TEACHER: "teacher",
+  STUDENT: "student",
+  SERVICE: "service",
+};
+
+export const AUTH_MODES = ["headers", "jwt", "none"];
+
+// JWS algorithms supported for JWKS verification
+const JWT_ALGORITHMS = {
+  RS256: { hash: "sha256", kty: "RSA" },
+  RS384: { hash: "sha384", kty: "RSA" },
+  RS512: { hash: "sha512", kty: "RSA" },
+  PS256: { hash: "sha256", kty: "RSA", pss: true },
+  PS384: { hash: "sha384", kty: "RSA", pss: true },
+  PS512: { hash: "sha512", kty: "RSA", pss: true },
+  ES256: { hash: "sha256", kty: "EC" },
+  ES384: { hash: "sha384", kty: "EC" },
+  ES512: { hash: "sha512", kty: "EC" },
+};
+
+/**
+ * Send a structured 401/403 response
+ */
+export function denyRequest(res, status, code, message) {
+  return res.status(status).json({ error: message, code });
+}
+
+function invalidToken(message) {
+  const error = new Error(message);
+  error.code = "invalid_token";
+  return error;
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch {
+    throw invalidToken("Malformed token");
+  }
+}
+
+/**
+ * Load the public keys of a JWKS file (`{ "keys": [...] }`)
+ * @param {string} filePath
+ * @returns {object[]} JWKs
+ */
+export function loadJwks(filePath) {
+  const { keys } = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new Error(`No keys in JWKS file ${filePath}`);
+  }
+  return keys;
+}
+
+/**
+ * Verify a compact JWS token against a set of JWKs and validate its claims
+ * @param {string} token
+ * @param {object[]} keys - JWKs
+ * @param {object} [options]
+ * @param {string} [options.issuer] - Required `iss`, if set
+ * @param {string} [options.audience] - Required `aud` entry, if set
+ * @param {number} [options.clockToleranceSeconds]
+ * @returns {object} The token payload
+ * @throws {Error} with `code = "invalid_token"`
+ */
+export function verifyJwt(token, keys, { issuer, audience, clockToleranceSeconds = 60 } = {}) {
+  const segments = token.split(".");
+  if (segments.length !== 3) {
+    throw invalidToken("Malformed token");
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = decodeSegment(encodedHeader);
+  const payload = decodeSegment(encodedPayload);
+
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw invalidToken(`Unsupported token algorithm: ${header.alg}`);
+  }
+  const jwk = keys.find(
+    (key) =>
+      key.kty === algorithm.kty &&
+      (header.kid === undefined || key.kid === header.kid) &&
+      (key.alg === undefined || key.alg === header.alg) &&
+      (key.use === undefined || key.use === "sig")
+  );
+  if (!jwk) {
+    throw invalidToken("No matching signing key");
+  }
+
+  const keyObject = crypto.createPublicKey({ key: jwk, format: "jwk" });
+  const verified = crypto.verify(
+    algorithm.hash,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    algorithm.kty === "EC"
+      ? { key: keyObject, dsaEncoding: "ieee-p1363" }
+      : algorithm.pss
+        ? { key: keyObject, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST }
+        : keyObject,
+    Buffer.from(encodedSignature, "base64url")
+  );
+  if (!verified) {
+    throw invalidToken("Invalid token signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp === "number" && payload.exp + clockToleranceSeconds < now) {
+    throw invalidToken("Token has expired");
+  }
+  if (typeof payload.nbf === "number" && payload.nbf - clockToleranceSeconds > now) {
+    throw invalidToken("Token is not yet valid");
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw invalidToken("Unexpected token issuer");
+  }
+  if (audience && ![payload.aud].flat().includes(audience)) {
+    throw invalidToken("Unexpected token audience");
+  }
+  if (typeof payload.sub !== "string" || payload.sub === "") {
+    throw invalidToken("Token has no subject");
+  }
+  return payload;
+}
+
+// Split a list value ("a,b", "a b" or ["a", "b"]) into trimmed entries
+function parseList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(/[\s,]+/);
+  return list.map((entry) => String(entry).trim()).filter(Boolean);
+}
+
+// Normalize a roles value to lowercase names
+function parseRoles(value) {
+  return parseList(value).map((role) => role.toLowerCase());
+}
+
+// Read a claim by dotted path, e.g. "realm_access.roles"
+function claim(payload, claimPath) {
+  return claimPath.split(".").reduce((value, key) => value?.[key], payload);
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Create the middleware that establishes `req.user` ({ sub, roles, courses })
+ * and rejects requests without valid credentials. `courses` lists the IDs of
+ * the courses the user teaches or belongs to.
+ * @param {object} options
+ * @param {"headers" | "jwt" | "none"} options.mode
+ * @param {object[]} [options.jwks] - Keys for jwt mode
+ * @param {string} [options.issuer]
+ * @param {string} [options.audience]
+ * @param {string} [options.rolesClaim] - Claim path holding the roles (jwt mode)
+ * @param {string} [options.coursesClaim] - Claim path holding the course IDs (jwt mode)
+ * @param {string[]} [options.serviceKeys] - Accepted `x-service-key` values
+ */
+export function createAuthenticator({
+  mode,
+  jwks = [],
+  issuer,
+  audience,
+  rolesClaim = "roles",
+  coursesClaim = "courses",
+  serviceKeys = [],
+}) {
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`Unknown auth mode: ${mode}`);
+  }
+
+  return function authenticate(req, res, next) {
+    // Internal services (e.g. the encoding webhook caller)
+    const serviceKey = req.headers["x-service-key"];
+    if (serviceKey !== undefined) {
+      if (!serviceKeys.some((key) => safeEqual(key, serviceKey))) {
+        return denyRequest(res, 401, "invalid_credentials", "Invalid service key");
+      }
+      req.user = { sub: null, roles: [ROLES.SERVICE], courses: [] };
+      return next();
+    }
+
+    if (mode === "none") {
+      // Development only: everyone is an administrator
+      req.user = { sub: req.headers["x-user-sub"] || null, roles: [ROLES.ADMIN], courses: [] };
+      return next();
+    }
+
+    if (mode === "headers") {
+      const sub = req.headers["x-user-sub"];
+      if (!sub) {
+        return denyRequest(res, 401, "unauthenticated", "Authentication required");
+      }
+      req.user = {
+        sub,
+        roles: parseRoles(req.headers["x-user-roles"]),
+        courses: parseList(req.headers["x-user-courses"]),
+      };
+      return next();
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+    if (!match) {
+      return denyRequest(res, 401, "unauthenticated", "Authentication required");
+    }
+    let payload;
+    try {
+      payload = verifyJwt(match[1].trim(), jwks, { issuer, audience });
+    } catch (error) {
+      if (error.code !== "invalid_token") {
+        return next(error);
+      }
+      res.set("WWW-Authenticate", `Bearer error="invalid_token", error_description="${error.message}"`);
+      return denyRequest(res, 401, "invalid_token", error.message);
+    }
+    req.user = {
+      sub: payload.sub,
+      roles: parseRoles(claim(payload, rolesClaim)),
+      courses: parseList(claim(payload, coursesClaim)),
+    };
+    next();
+  };
+}
+
+/**
+ * Whether the user has any of the given roles
+ */
+export function hasRole(user, ...roles) {
+  return Boolean(user) && roles.some((role) => user.roles.includes(role));
+}
+
+/**
+ * Middleware that only lets users with one of the given roles through
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, ...roles)) {
+      return denyRequest(res, 403, "forbidden", `Requires one of the roles: ${roles.join(", ")}`);
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware for endpoints that only internal services may call
+ */
+export function requireService(req, res, next) {
+  if (!hasRole(req.user, ROLES.SERVICE)) {
+    return denyRequest(res, 403, "forbidden", "Requires a service credential");
+  }
+  next();
+}
+
+/**
+ * Whether the user is a member of the course
+ */
+export function inCourse(user, courseId) {
+  return Boolean(courseId) && Boolean(user?.courses?.includes(courseId));
+}
+
+/**
+ * Whether the user may manage the course `courseId`: an administrator, or a
+ * teacher of the course. Only administrators manage what belongs to no course.
+ */
+export function canManageCourse(user, courseId) {
+  return hasRole(user, ROLES.ADMIN) || (hasRole(user, ROLES.TEACHER) && inCourse(user, courseId));
+}
+
+/**
+ * Whether the user may modify a resource owned by `ownerId` in the course
+ * `courseId`: its uploader, an administrator, or a teacher of the course
+ */
+export function canManage(user, ownerId, courseId = null) {
+  return (Boolean(user?.sub) && user.sub === ownerId) || canManageCourse(user, courseId);
+}
+
+/**
+ * Whether the user may read a resource owned by `ownerId` in the course
+ * `courseId`: anyone who may modify it, members of the course and services
+ */
+export function canView(user, ownerId, courseId = null) {
+  return canManage(user, ownerId, courseId) || inCourse(user, courseId) || hasRole(user, ROLES.SERVICE);
+}
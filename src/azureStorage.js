@@ -75,11 +75,9 @@ export async function generateSasUrl(blobServiceClient, containerName, blobName,
       return `${blobClient.url}?${sasToken}`;
     }
   } catch (error) {
+    // The container is private, so an unsigned URL would not work either
     console.error("Failed to generate SAS URL:", error);
-    // Fallback to regular URL (will only work if container has public access)
-    const containerClient = blobServiceClient.getContainerClient(containerName);
-    const blobClient = containerClient.getBlobClient(blobName);
-    return blobClient.url;
+    throw error;
   }
 }
 
@@ -99,9 +97,7 @@ export async function uploadBlob(blobServiceClient, containerName, blobName, buf
   const containerClient = blobServiceClient.getContainerClient(containerName);
   
   // Ensure container exists
-  await containerClient.createIfNotExists({
-    access: "blob", // public read access for blobs
-  });
+  await containerClient.createIfNotExists();
 
   const blockBlobClient = containerClient.getBlockBlobClient(blobName);
 
@@ -114,3 +110,171 @@ export async function uploadBlob(blobServiceClient, containerName, blobName, buf
 
   return blockBlobClient.url;
 }
+
+
+/**
+ * Upload a local file to storage (streamed in blocks, never fully buffered)
+ */
+export async function uploadBlobFromFile(blobServiceClient, containerName, blobName, filePath, mimeType) {
+  const containerClient = blobServiceClient.getContainerClient(containerName);
+
+  await containerClient.createIfNotExists();
+
+  const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+  await blockBlobClient.uploadFile(filePath, {
+    blobHTTPHeaders: {
+      blobContentType: mimeType,
+    },
+  });
+
+  return blockBlobClient.url;
+}
+
+/**
+ * Stage a single uncommitted block of a block blob
+ * @param {BlobServiceClient} blobServiceClient
+ * @param {string} containerName
+ * @param {string} blobName
+ * @param {string} blockId - Base64 block ID (all IDs of one blob must have the same length)
+ * @param {import("stream").Readable} stream - Block contents
+ * @param {number} contentLength - Exact number of bytes in the stream
+ */
+export async function stageBlock(blobServiceClient, containerName, blobName, blockId, stream, contentLength) {
+  const containerClient = blobServiceClient.getContainerClient(containerName);
+  await containerClient.createIfNotExists();
+
+  const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+  await blockBlobClient.stageBlock(blockId, () => stream, contentLength);
+}
+
+/**
+ * Commit previously staged blocks, in order, as the blob contents
+ * @returns {Promise<string>} The blob URL
+ */
+export async function commitBlockList(blobServiceClient, containerName, blobName, blockIds, mimeType) {
+  const containerClient = blobServiceClient.getContainerClient(containerName);
+  const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+
+  await blockBlobClient.commitBlockList(blockIds, {
+    blobHTTPHeaders: {
+      blobContentType: mimeType,
+    },
+  });
+
+  return blockBlobClient.url;
+}
+
+/**
+ * Download a blob to a local file
+ */
+export async function downloadBlobToFile(blobServiceClient, containerName, blobName, filePath) {
+  const containerClient = blobServiceClient.getContainerClient(containerName);
+  const blobClient = containerClient.getBlobClient(blobName);
+  await blobClient.downloadToFile(filePath);
+}
+
+/**
+ * Get the plain (unsigned) URL of a blob
+ */
+export function getBlobUrl(blobServiceClient, containerName, blobName) {
+  return blobServiceClient.getContainerClient(containerName).getBlobClient(blobName).url;
+}
+
+/**
+ * Download a byte range of a blob into memory
+ */
+export async function downloadBlobRange(blobServiceClient, containerName, blobName, offset, count) {
+  const containerClient = blobServiceClient.getContainerClient(containerName);
+  const blobClient = containerClient.getBlobClient(blobName);
+  const properties = await blobClient.getProperties();
+  const length = Math.min(count, properties.contentLength - offset);
+  return length > 0 ? blobClient.downloadToBuffer(offset, length) : Buffer.alloc(0);
+}
+
+/**
+ * Open a readable stream over a blob's contents (optionally a byte range)
+ */
+export async function getBlobReadStream(blobServiceClient, containerName, blobName, offset = 0, count = undefined) {
+  const containerClient = blobServiceClient.getContainerClient(containerName);
+  const blobClient = containerClient.getBlobClient(blobName);
+  const response = await blobClient.download(offset, count);
+  return response.readableStreamBody;
+}
+
+/**
+ * Upload a stream to storage without buffering it
+ */
+export async function uploadBlobStream(blobServiceClient, containerName, blobName, stream, mimeType) {
+  const containerClient = blobServiceClient.getContainerClient(containerName);
+  await containerClient.createIfNotExists();
+
+  const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+  await blockBlobClient.uploadStream(stream, 8 * 1024 * 1024, 4, {
+    blobHTTPHeaders: {
+      blobContentType: mimeType,
+    },
+  });
+
+  return blockBlobClient.url;
+}
+
+/**
+ * Check whether a blob exists
+ */
+export async function blobExists(blobServiceClient, containerName, blobName) {
+  return blobServiceClient.getContainerClient(containerName).getBlobClient(blobName).exists();
+}
+
+/**
+ * Size of a blob in bytes, or null if it does not exist
+ */
+export async function getBlobSize(blobServiceClient, containerName, blobName) {
+  try {
+    const properties = await blobServiceClient
+      .getContainerClient(containerName)
+      .getBlobClient(blobName)
+      .getProperties();
+    return properties.contentLength;
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Set the Content-MD5 property of a blob. Blobs committed from blocks do not
+ * get one from the service. Setting the HTTP headers replaces all of them, so
+ * the content type is set again.
+ * @param {string} md5 - Hex MD5 digest
+ */
+export async function setBlobContentMd5(blobServiceClient, containerName, blobName, md5, contentType) {
+  await blobServiceClient
+    .getContainerClient(containerName)
+    .getBlobClient(blobName)
+    .setHTTPHeaders({ blobContentType: contentType, blobContentMD5: Buffer.from(md5, "hex") });
+}
+
+/**
+ * List the blobs whose names start with the given prefix
+ */
+export async function* listBlobs(blobServiceClient, containerName, prefix = "") {
+  const containerClient = blobServiceClient.getContainerClient(containerName);
+  if (!(await containerClient.exists())) {
+    return;
+  }
+  for await (const blob of containerClient.listBlobsFlat({ prefix: prefix || undefined })) {
+    yield { name: blob.name, size: blob.properties.contentLength, lastModified: blob.properties.lastModified };
+  }
+}
+
+/**
+ * Delete every blob whose name starts with the given prefix
+ */
+export async function deleteBlobsByPrefix(blobServiceClient, containerName, prefix) {
+  const containerClient = blobServiceClient.getContainerClient(containerName);
+  for await (const blob of containerClient.listBlobsFlat({ prefix })) {
+    await containerClient.getBlockBlobClient(blob.name).deleteIfExists();
+  }
+}
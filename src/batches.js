@@ -0,0 +1,421 @@
+import { UPLOAD_STATUS } from "./directUploads.js";
+import { JOB_STATUS } from "./webhooks.js";
+import { LANGUAGE_PATTERN } from "./captions.js";
+import { LIST_FILTER_PARAMS, parseUploadListQuery } from "./uploadQuery.js";
+import { trashUpload } from "./lectureParts.js";
+import { queueTranscription } from "./transcriptions.js";
+import { canManage } from "./auth.js";
+
+/**
+ * Bulk operations on many uploads at once.
+ *
+ * A batch applies one operation to a selection of uploads: a list of upload
+ * IDs, a list of lecture IDs or a filter with the parameters of the upload
+ * listing. It runs as a background job (see jobs.js), which first resolves
+ * the selection into one item per upload and then processes the items in
+ * order, recording the outcome of each. A job that is interrupted continues
+ * with the items that are still pending.
+ *
+ * Operations:
+ * - `delete`      move the uploads to the trash, as `DELETE /api/uploads/:id`;
+ *                 uploads the creator may not delete there fail as forbidden
+ * - `transcribe`  queue a transcription in `language`; for lecture IDs, of
+ *                 the lecture's video (as `POST /api/lectures/:id/transcribe`)
+ * - `export`      record the uploads' metadata, downloadable as JSON or CSV
+ *
+ * A dry run resolves the selection and checks each item without changing
+ * anything: its `succeeded` items are the ones that would be affected.
+ */
+
+export const BATCH_OPERATIONS = {
+  DELETE: "delete",
+  TRANSCRIBE: "transcribe",
+  EXPORT: "export",
+};
+
+export const BATCH_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+export const BATCH_ITEM_STATUS = {
+  PENDING: "pending",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+};
+
+export const EXPORT_FORMATS = ["json", "csv"];
+
+// Most IDs in a request, and most uploads a batch may select
+export const MAX_BATCH_IDS = 1000;
+export const MAX_BATCH_ITEMS = 5000;
+
+// Upload fields in metadata exports
+export const EXPORT_FIELDS = [
+  "id",
+  "lecture_id",
+  "course_id",
+  "user_id",
+  "part_id",
+  "position",
+  "version",
+  "is_current",
+  "is_primary",
+  "original_filename",
+  "title",
+  "language",
+  "tags",
+  "file_size",
+  "mime_type",
+  "sha256",
+  "duration",
+  "resolution",
+  "encoding_status",
+  "transcription_status",
+  "transcription_language",
+  "legal_hold",
+  "created_at",
+  "updated_at",
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Check a list of IDs in a request
+function idListError(ids, name) {
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BATCH_IDS) {
+    return `${name} must be a non-empty array of at most ${MAX_BATCH_IDS} IDs`;
+  }
+  if (ids.some((id) => typeof id !== "string" || !UUID_PATTERN.test(id))) {
+    return `${name} must contain UUIDs`;
+  }
+  return null;
+}
+
+// Turn a filter from a JSON body into listing query parameters
+function filterQuery(filter) {
+  return Object.fromEntries(
+    Object.entries(filter).map(([key, value]) => [key, Array.isArray(value) ? value.join(",") : String(value)])
+  );
+}
+
+/**
+ * Validate the body of a batch request
+ * @param {object} body
+ * @returns {{ error: string } | { operation: string, dryRun: boolean, selection: object, options: object }}
+ */
+export function parseBatchRequest(body) {
+  const { operation, upload_ids, lecture_ids, filter, language, dry_run = false } = body || {};
+
+  if (!Object.values(BATCH_OPERATIONS).includes(operation)) {
+    return { error: `operation must be one of: ${Object.values(BATCH_OPERATIONS).join(", ")}` };
+  }
+  if (typeof dry_run !== "boolean") {
+    return { error: "dry_run must be a boolean" };
+  }
+
+  const given = [upload_ids, lecture_ids, filter].filter((value) => value !== undefined);
+  if (given.length !== 1) {
+    return { error: "Select uploads with exactly one of upload_ids, lecture_ids and filter" };
+  }
+  let selection;
+  if (upload_ids !== undefined) {
+    const error = idListError(upload_ids, "upload_ids");
+    if (error) {
+      return { error };
+    }
+    selection = { upload_ids: [...new Set(upload_ids)] };
+  } else if (lecture_ids !== undefined) {
+    const error = idListError(lecture_ids, "lecture_ids");
+    if (error) {
+      return { error };
+    }
+    selection = { lecture_ids: [...new Set(lecture_ids)] };
+  } else {
+    if (typeof filter !== "object" || filter === null || Array.isArray(filter)) {
+      return { error: "filter must be an object" };
+    }
+    const keys = Object.keys(filter);
+    const unknown = keys.filter((key) => !LIST_FILTER_PARAMS.includes(key));
+    if (unknown.length > 0) {
+      return { error: `Unknown filter fields: ${unknown.join(", ")}` };
+    }
+    // An empty filter would select every upload
+    if (keys.length === 0) {
+      return { error: "filter must restrict the selection" };
+    }
+    const query = parseUploadListQuery(filterQuery(filter));
+    if (query.error) {
+      return { error: `Invalid filter: ${query.error}` };
+    }
+    selection = { filter };
+  }
+
+  const options = {};
+  if (operation === BATCH_OPERATIONS.TRANSCRIBE) {
+    if (typeof language !== "string" || !LANGUAGE_PATTERN.test(language)) {
+      return { error: "language must be a language tag such as sl or en-US" };
+    }
+    options.language = language;
+  }
+
+  return { operation, dryRun: dry_run, selection, options };
+}
+
+/**
+ * The metadata of an upload as exported
+ * @param {object} upload
+ */
+export function exportRecord(upload) {
+  return Object.fromEntries(
+    EXPORT_FIELDS.map((field) => {
+      const value = upload[field] ?? null;
+      // File sizes are BigInt columns; they fit a JSON number
+      return [field, typeof value === "bigint" ? Number(value) : value];
+    })
+  );
+}
+
+// Quote a CSV value when needed (RFC 4180)
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (Array.isArray(value)) {
+    // Tags cannot contain ";"
+    text = value.join(";");
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format exported records as CSV, one row per upload
+ * @param {object[]} records
+ * @returns {string}
+ */
+export function formatExportCsv(records) {
+  const lines = [EXPORT_FIELDS.join(",")];
+  for (const record of records) {
+    lines.push(EXPORT_FIELDS.map((field) => csvValue(record[field])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Running batches
+ * @param {object} options
+ * @param {import("@prisma/client").PrismaClient} options.prisma
+ * @param {Console} [options.logger]
+ */
+export function createBatchRunner({ prisma, logger = console }) {
+  // The uploads a batch selects, as items in order
+  async function resolveItems(batch) {
+    const { upload_ids: uploadIds, lecture_ids: lectureIds, filter } = batch.selection;
+    const completed = { deleted_at: null, upload_status: UPLOAD_STATUS.COMPLETED };
+    const select = { id: true, lecture_id: true };
+
+    if (uploadIds) {
+      // Unknown IDs become failed items
+      const uploads = await prisma.videoUpload.findMany({ where: { id: { in: uploadIds } }, select });
+      const lectures = new Map(uploads.map((upload) => [upload.id, upload.lecture_id]));
+      return uploadIds.map((id) => ({ upload_id: id, lecture_id: lectures.get(id) ?? null }));
+    }
+
+    if (lectureIds && batch.operation === BATCH_OPERATIONS.TRANSCRIBE) {
+      // The video that represents each lecture (see findLectureVideo in app.js)
+      const uploads = await prisma.videoUpload.findMany({
+        where: { lecture_id: { in: lectureIds }, is_current: true, ...completed },
+        orderBy: [{ is_primary: "desc" }, { position: "asc" }],
+        select,
+      });
+      return lectureIds.map((lectureId) => ({
+        upload_id: uploads.find((upload) => upload.lecture_id === lectureId)?.id ?? null,
+        lecture_id: lectureId,
+      }));
+    }
+
+    const where = lectureIds
+      ? { lecture_id: { in: lectureIds }, ...completed }
+      : parseUploadListQuery(filterQuery(filter)).where;
+    const uploads = await prisma.videoUpload.findMany({
+      where,
+      orderBy: [{ lecture_id: "asc" }, { position: "asc" }, { version: "desc" }],
+      select,
+      take: MAX_BATCH_ITEMS + 1,
+    });
+    if (uploads.length > MAX_BATCH_ITEMS) {
+      const error = new Error(`The selection matches more than ${MAX_BATCH_ITEMS} uploads`);
+      error.retryable = false;
+      throw error;
+    }
+    return uploads.map((upload) => ({ upload_id: upload.id, lecture_id: upload.lecture_id }));
+  }
+
+  // Load the upload of an item, or the outcome if there is none to act on
+  async function findItemUpload(item) {
+    if (!item.upload_id) {
+      return { outcome: { status: BATCH_ITEM_STATUS.FAILED, message: "No video found for this lecture" } };
+    }
+    const upload = await prisma.videoUpload.findUnique({ where: { id: item.upload_id } });
+    if (!upload || upload.upload_status !== UPLOAD_STATUS.COMPLETED) {
+      return { outcome: { status: BATCH_ITEM_STATUS.FAILED, message: "Upload not found" } };
+    }
+    if (upload.deleted_at) {
+      return { outcome: { status: BATCH_ITEM_STATUS.SKIPPED, message: "Upload is in the trash" } };
+    }
+    return { upload };
+  }
+
+  // Apply the batch's operation to one item; returns its outcome
+  async function processItem(batch, item) {
+    const { upload, outcome } = await findItemUpload(item);
+    if (outcome) {
+      return outcome;
+    }
+
+    switch (batch.operation) {
+      case BATCH_OPERATIONS.DELETE: {
+        const creator = { sub: batch.created_by, roles: batch.creator_roles, courses: batch.creator_courses };
+        if (!canManage(creator, upload.user_id, upload.course_id)) {
+          return {
+            status: BATCH_ITEM_STATUS.FAILED,
+            message: "Forbidden: only the uploader, a teacher of the course or an administrator may delete this upload",
+          };
+        }
+        if (batch.dry_run) {
+          return { status: BATCH_ITEM_STATUS.SUCCEEDED, message: "Would be moved to the trash" };
+        }
+        const { trashed } = await prisma.$transaction((tx) =>
+          trashUpload(tx, upload, batch.created_by, { batch_id: batch.id })
+        );
+        return { status: BATCH_ITEM_STATUS.SUCCEEDED, result: { deleted_at: trashed.deleted_at } };
+      }
+
+      case BATCH_OPERATIONS.TRANSCRIBE: {
+        const { language } = batch.options;
+        if ([JOB_STATUS.PENDING, JOB_STATUS.PROCESSING].includes(upload.transcription_status)) {
+          return { status: BATCH_ITEM_STATUS.SKIPPED, message: "A transcription of this video is in progress" };
+        }
+        if (upload.transcription_status === JOB_STATUS.COMPLETED && upload.transcription_language === language) {
+          return { status: BATCH_ITEM_STATUS.SKIPPED, message: `Already transcribed in ${language}` };
+        }
+        if (batch.dry_run) {
+          return { status: BATCH_ITEM_STATUS.SUCCEEDED, message: `Would be transcribed in ${language}` };
+        }
+        // Submitted by the transcription worker
+        const job = await queueTranscription(prisma, upload, { language, requestedBy: batch.created_by });
+        if (!job) {
+          return { status: BATCH_ITEM_STATUS.SKIPPED, message: "A transcription of this video is in progress" };
+        }
+        return { status: BATCH_ITEM_STATUS.SUCCEEDED, result: { transcription_job_id: job.id } };
+      }
+
+      case BATCH_OPERATIONS.EXPORT:
+        return {
+          status: BATCH_ITEM_STATUS.SUCCEEDED,
+          ...(batch.dry_run ? { message: "Would be exported" } : { result: exportRecord(upload) }),
+        };
+
+      default:
+        throw new Error(`Unknown operation: ${batch.operation}`);
+    }
+  }
+
+  const COUNTERS = {
+    [BATCH_ITEM_STATUS.SUCCEEDED]: "succeeded",
+    [BATCH_ITEM_STATUS.FAILED]: "failed",
+    [BATCH_ITEM_STATUS.SKIPPED]: "skipped",
+  };
+
+  /**
+   * Run a batch, or continue an interrupted run. Used as the handler of its
+   * background job.
+   * @param {string} batchId
+   * @param {{ job: object, signal: AbortSignal }} context
+   * @returns {Promise<object>} Counts of the items by outcome
+   */
+  async function runBatch(batchId, { job, signal }) {
+    const { count } = await prisma.batch.updateMany({
+      where: { id: batchId, status: { in: [BATCH_STATUS.QUEUED, BATCH_STATUS.RUNNING] } },
+      data: { status: BATCH_STATUS.RUNNING, started_at: new Date() },
+    });
+    if (count === 0) {
+      // Cancelled before it started
+      return null;
+    }
+    let batch = await prisma.batch.findUnique({ where: { id: batchId } });
+
+    try {
+      if (batch.total_items === null) {
+        const items = await resolveItems(batch);
+        await prisma.$transaction(async (tx) => {
+          await tx.batchItem.createMany({
+            data: items.map((item, position) => ({ ...item, batch_id: batchId, position })),
+          });
+          batch = await tx.batch.update({ where: { id: batchId }, data: { total_items: items.length } });
+        });
+        logger.log(
+          `[BATCH] ${batch.operation} batch ${batchId}: ${items.length} items${batch.dry_run ? " (dry run)" : ""}`
+        );
+      }
+
+      const pending = await prisma.batchItem.findMany({
+        where: { batch_id: batchId, status: BATCH_ITEM_STATUS.PENDING },
+        orderBy: { position: "asc" },
+      });
+      for (const item of pending) {
+        // Cancelled (the cancellation skips the remaining items and marks the
+        // batch) or timed out (a retry continues with them; after the last
+        // attempt the batch fails below)
+        if (signal.aborted) {
+          throw signal.reason;
+        }
+        let outcome;
+        try {
+          outcome = await processItem(batch, item);
+        } catch (error) {
+          logger.error(`[BATCH] Item ${item.id} of batch ${batchId} failed:`, error);
+          outcome = { status: BATCH_ITEM_STATUS.FAILED, message: error.message };
+        }
+        const updated = await prisma.batchItem.updateMany({
+          where: { id: item.id, status: BATCH_ITEM_STATUS.PENDING },
+          data: { status: outcome.status, message: outcome.message ?? null, result: outcome.result ?? undefined },
+        });
+        if (updated.count > 0) {
+          await prisma.batch.update({
+            where: { id: batchId },
+            data: { [COUNTERS[outcome.status]]: { increment: 1 } },
+          });
+        }
+      }
+
+      const finished = await prisma.batch.updateMany({
+        where: { id: batchId, status: BATCH_STATUS.RUNNING },
+        data: { status: BATCH_STATUS.COMPLETED, finished_at: new Date() },
+      });
+      batch = await prisma.batch.findUnique({ where: { id: batchId } });
+      if (finished.count > 0) {
+        logger.log(
+          `[BATCH] ${batch.operation} batch ${batchId} completed: ${batch.succeeded} succeeded, ` +
+            `${batch.failed} failed, ${batch.skipped} skipped`
+        );
+      }
+      return { succeeded: batch.succeeded, failed: batch.failed, skipped: batch.skipped };
+    } catch (error) {
+      // The job is retried, except after its last attempt
+      if (error.retryable === false || job.attempts >= job.max_attempts) {
+        await prisma.batch.updateMany({
+          where: { id: batchId, status: BATCH_STATUS.RUNNING },
+          data: { status: BATCH_STATUS.FAILED, error: error.message, finished_at: new Date() },
+        });
+      }
+      throw error;
+    }
+  }
+
+  return { runBatch };
+}
@@ -0,0 +1,142 @@
+import { formatVttTimestamp } from "./thumbnails.js";
+
+/**
+ * Caption files: WebVTT and SRT parsing, conversion between them, and
+ * transcript segments from the transcription service's JSON output.
+ *
+ * A cue is `{ start, end, text }` with times in seconds; multi-line cue text
+ * is kept with "\n" separators.
+ */
+
+export const CAPTION_FORMATS = {
+  vtt: "text/vtt",
+  srt: "application/x-subrip",
+};
+
+// BCP 47 language tag as used for caption tracks, e.g. "sl", "en-GB"
+export const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]+)*$/;
+
+// HH:MM:SS.mmm or MM:SS.mmm (WebVTT), HH:MM:SS,mmm (SRT)
+const TIMESTAMP = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{3})$/;
+const TIMING_LINE = /^(\S+)\s+-->\s+(\S+)/;
+
+function parseTimestamp(value) {
+  const match = TIMESTAMP.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [, hours = "0", minutes, seconds, ms] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(ms) / 1000;
+}
+
+/**
+ * Detect the format of a caption file from its contents
+ * @param {string} text
+ * @returns {"vtt" | "srt" | null}
+ */
+export function detectCaptionFormat(text) {
+  const content = text.replace(/^\uFEFF/, "");
+  if (/^WEBVTT(?:[ \t]|\r?\n|$)/.test(content)) {
+    return "vtt";
+  }
+  if (/^\s*\d+\r?\n\d{2}:\d{2}:\d{2},\d{3}\s+-->/.test(content)) {
+    return "srt";
+  }
+  return null;
+}
+
+// Split into blocks separated by blank lines and read the cues. Blocks
+// without a valid timing line (WebVTT header, NOTE, STYLE, REGION) are skipped.
+function parseBlocks(text) {
+  const cues = [];
+  const blocks = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split(/\n{2,}/);
+  for (const block of blocks) {
+    const lines = block.split("\n").filter((line) => line !== "");
+    const timingIndex = lines.findIndex((line) => TIMING_LINE.test(line));
+    // The timing line is the first line, or the second after a cue identifier
+    if (timingIndex < 0 || timingIndex > 1) {
+      continue;
+    }
+    const [, startValue, endValue] = TIMING_LINE.exec(lines[timingIndex]);
+    const start = parseTimestamp(startValue);
+    const end = parseTimestamp(endValue);
+    if (start === null || end === null || end < start) {
+      continue;
+    }
+    cues.push({ start, end, text: lines.slice(timingIndex + 1).join("\n") });
+  }
+  return cues;
+}
+
+/**
+ * Parse a WebVTT or SRT file
+ * @param {string} text
+ * @returns {{ format: "vtt" | "srt", cues: { start: number, end: number, text: string }[] } | null}
+ *   null if the format is not recognized
+ */
+export function parseCaptions(text) {
+  const format = detectCaptionFormat(text);
+  if (!format) {
+    return null;
+  }
+  return { format, cues: parseBlocks(text) };
+}
+
+/**
+ * Format cues as WebVTT
+ */
+export function formatVtt(cues) {
+  const lines = ["WEBVTT", ""];
+  for (const cue of cues) {
+    lines.push(`${formatVttTimestamp(cue.start)} --> ${formatVttTimestamp(cue.end)}`, cue.text, "");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Format cues as SRT (numbered cues, comma before the milliseconds).
+ * WebVTT markup such as voice tags is kept as is.
+ */
+export function formatSrt(cues) {
+  const timestamp = (seconds) => formatVttTimestamp(seconds).replace(".", ",");
+  return cues
+    .map((cue, i) => `${i + 1}\n${timestamp(cue.start)} --> ${timestamp(cue.end)}\n${cue.text}\n`)
+    .join("\n");
+}
+
+/**
+ * Convert a caption file to the given format
+ * @param {string} text - WebVTT or SRT
+ * @param {"vtt" | "srt"} to
+ * @returns {string | null} null if the input format is not recognized
+ */
+export function convertCaptions(text, to) {
+  const parsed = parseCaptions(text);
+  if (!parsed) {
+    return null;
+  }
+  return to === "srt" ? formatSrt(parsed.cues) : formatVtt(parsed.cues);
+}
+
+/**
+ * Read the segments of a transcription result (`{ segments: [{ start, end,
+ * text }] }` or a bare array of segments, times in seconds)
+ * @param {unknown} transcript - Parsed JSON
+ * @returns {{ start: number, end: number, text: string }[] | null} null if
+ *   the document has no segments
+ */
+export function transcriptSegments(transcript) {
+  const segments = Array.isArray(transcript) ? transcript : transcript?.segments;
+  if (!Array.isArray(segments)) {
+    return null;
+  }
+  return segments
+    .filter(
+      (segment) =>
+        Number.isFinite(segment?.start) &&
+        Number.isFinite(segment?.end) &&
+        typeof segment.text === "string" &&
+        segment.text.trim() !== ""
+    )
+    .map((segment) => ({ start: segment.start, end: segment.end, text: segment.text.trim() }));
+}
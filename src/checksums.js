@@ -0,0 +1,143 @@
+import crypto from "crypto";
+import fs from "fs";
+
+/**
+ * Content checksums of stored videos.
+ *
+ * Every ingest path hashes the file once (SHA-256 and MD5 in the same pass)
+ * and stores both as hex on the upload. Clients can send the checksums they
+ * computed with the upload, either as a `Digest` header (RFC 3230,
+ * `Digest: sha-256=<base64>, md5=<base64>`; `Repr-Digest` from RFC 9530 is
+ * accepted as well) or as `Content-MD5`; a mismatch rejects the upload.
+ */
+
+export const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+// Optional deduplication: link a new upload to the blob of an existing upload
+// with the same content, within the same lecture or anywhere in the container
+export const DEDUP_MODES = {
+  OFF: "off",
+  LECTURE: "lecture",
+  GLOBAL: "global",
+};
+
+// Digest algorithms we check, with their digest length in bytes
+const ALGORITHMS = {
+  "sha-256": { field: "sha256", bytes: 32 },
+  md5: { field: "md5", bytes: 16 },
+};
+const LABELS = { sha256: "SHA-256", md5: "MD5" };
+
+/**
+ * Hex SHA-256 and MD5 of a stream
+ * @param {import("stream").Readable} stream
+ * @returns {Promise<{ sha256: string, md5: string }>}
+ */
+export async function hashStream(stream) {
+  const sha256 = crypto.createHash("sha256");
+  const md5 = crypto.createHash("md5");
+  for await (const chunk of stream) {
+    sha256.update(chunk);
+    md5.update(chunk);
+  }
+  return { sha256: sha256.digest("hex"), md5: md5.digest("hex") };
+}
+
+/**
+ * Hex SHA-256 and MD5 of a local file
+ * @param {string} filePath
+ */
+export function hashFile(filePath) {
+  return hashStream(fs.createReadStream(filePath));
+}
+
+// Decode a base64 digest of the expected length to hex; null if invalid
+function decodeDigest(value, bytes) {
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(value)) {
+    return null;
+  }
+  const digest = Buffer.from(value, "base64");
+  return digest.length === bytes ? digest.toString("hex") : null;
+}
+
+/**
+ * Checksums a client declared in the `Digest`, `Repr-Digest` and
+ * `Content-MD5` headers. Other algorithms are ignored.
+ * @param {object} headers - req.headers
+ * @returns {{ sha256?: string, md5?: string } | { error: string }} Hex digests
+ */
+export function parseDigestHeaders(headers) {
+  const declared = {};
+  const add = (field, value, header) => {
+    if (declared[field] && declared[field] !== value) {
+      return `${header} contradicts another declared ${LABELS[field]} checksum`;
+    }
+    declared[field] = value;
+    return null;
+  };
+
+  for (const header of ["digest", "repr-digest"]) {
+    if (headers[header] === undefined) {
+      continue;
+    }
+    for (const entry of String(headers[header]).split(",")) {
+      const separator = entry.indexOf("=");
+      const algorithm = entry.slice(0, separator).trim().toLowerCase();
+      if (separator < 1 || !ALGORITHMS[algorithm]) {
+        continue;
+      }
+      // Repr-Digest wraps the value in colons (structured field byte sequence)
+      const value = entry.slice(separator + 1).trim().replace(/^:(.*):$/, "$1");
+      const { field, bytes } = ALGORITHMS[algorithm];
+      const digest = decodeDigest(value, bytes);
+      if (!digest) {
+        return { error: `Invalid ${algorithm} value in the ${header} header` };
+      }
+      const error = add(field, digest, header);
+      if (error) {
+        return { error };
+      }
+    }
+  }
+
+  if (headers["content-md5"] !== undefined) {
+    const digest = decodeDigest(String(headers["content-md5"]).trim(), ALGORITHMS.md5.bytes);
+    if (!digest) {
+      return { error: "Content-MD5 must be the base64 MD5 digest of the file" };
+    }
+    const error = add("md5", digest, "content-md5");
+    if (error) {
+      return { error };
+    }
+  }
+
+  return declared;
+}
+
+/**
+ * Algorithms whose declared checksum differs from the computed one
+ * @param {{ sha256?: string | null, md5?: string | null }} expected
+ * @param {{ sha256: string, md5: string }} actual
+ * @returns {string[]} e.g. ["sha256"]
+ */
+export function checksumMismatches(expected, actual) {
+  return ["sha256", "md5"].filter((field) => expected[field] && expected[field] !== actual[field]);
+}
+
+/**
+ * 422 response body for a file that does not match its declared checksums
+ * @param {string[]} mismatches - From checksumMismatches
+ * @param {object} expected
+ * @param {object} actual
+ */
+export function checksumMismatchBody(mismatches, expected, actual) {
+  return {
+    error: `Uploaded file does not match the declared ${mismatches.map((field) => LABELS[field]).join(" and ")} checksum`,
+    ...Object.fromEntries(
+      mismatches.flatMap((field) => [
+        [`expected_${field}`, expected[field]],
+        [`actual_${field}`, actual[field]],
+      ])
+    ),
+  };
+}
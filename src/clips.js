@@ -0,0 +1,116 @@
+/**
+ * Clips and trimming.
+ *
+ * A clip is a derived upload holding a time range of another upload. It is
+ * created with `encoding_status = "pending"` and no file yet; the encoding
+ * worker cuts the range out of the source, stores it and then encodes it like
+ * any upload, so clip jobs go through the same status lifecycle.
+ *
+ * Cutting prefers a stream copy, which is fast and lossless but can only
+ * start at a keyframe, over re-encoding the range:
+ * - `auto`      copy if the start is on a keyframe, re-encode otherwise
+ * - `copy`      always copy; the start moves back to the previous keyframe
+ * - `reencode`  always re-encode (frame-accurate)
+ * A copy that ffmpeg cannot write to MP4 falls back to re-encoding.
+ *
+ * A trim is a non-destructive range set on an upload: the file stays as it
+ * is, while the HLS output and thumbnails only cover the range.
+ */
+
+export const CLIP_METHODS = {
+  AUTO: "auto",
+  COPY: "copy",
+  REENCODE: "reencode",
+};
+
+// A start this close to a keyframe counts as on the keyframe
+export const KEYFRAME_TOLERANCE_SECONDS = 0.05;
+
+// Shortest clip or trimmed video
+export const MIN_RANGE_SECONDS = 1;
+
+/**
+ * Whether an upload is a clip that has not been cut out of its source yet
+ * @param {{ source_upload_id?: string | null, file_size: number | bigint }} upload
+ */
+export function awaitingClipFile(upload) {
+  return Boolean(upload.source_upload_id) && Number(upload.file_size) === 0;
+}
+
+/**
+ * Validate a `{ start, end }` range in seconds against a video's duration.
+ * `end` may be null (until the end of the video).
+ * @param {{ start?: unknown, end?: unknown }} range
+ * @param {number | null} duration - Seconds, null if unknown
+ * @param {object} [options]
+ * @param {boolean} [options.requireEnd]
+ * @returns {{ error: string } | { start: number, end: number | null }}
+ */
+export function parseTimeRange({ start = 0, end = null }, duration, { requireEnd = false } = {}) {
+  if (typeof start !== "number" || !Number.isFinite(start) || start < 0) {
+    return { error: "start must be a non-negative number of seconds" };
+  }
+  if (end === null && requireEnd) {
+    return { error: "end is required" };
+  }
+  if (end !== null && (typeof end !== "number" || !Number.isFinite(end))) {
+    return { error: "end must be a number of seconds or null" };
+  }
+  if (duration !== null && (start >= duration || (end !== null && end > duration))) {
+    return { error: `The range must lie within the video (${duration} seconds)` };
+  }
+  if ((end ?? duration ?? Infinity) - start < MIN_RANGE_SECONDS) {
+    return { error: `The range must be at least ${MIN_RANGE_SECONDS} second long` };
+  }
+  return { start, end };
+}
+
+/**
+ * Length in seconds of a video of `duration` seconds after a trim
+ * @param {number} duration
+ * @param {{ trim_start?: number | null, trim_end?: number | null }} upload
+ */
+export function trimmedDuration(duration, { trim_start: start, trim_end: end }) {
+  return Math.max(0, Math.min(end ?? duration, duration) - (start ?? 0));
+}
+
+/**
+ * ffmpeg input options that limit reading to a time range. They go before
+ * `-i`; with both, `-to` is a position in the input, not a duration.
+ * @param {{ start?: number | null, end?: number | null }} [range]
+ * @returns {string[]}
+ */
+export function seekArgs({ start = null, end = null } = {}) {
+  const args = [];
+  if (start) {
+    args.push("-ss", start.toFixed(3));
+  }
+  if (end !== null) {
+    args.push("-to", end.toFixed(3));
+  }
+  return args;
+}
+
+/**
+ * Build ffmpeg arguments that write a range of a video to an MP4 file
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {object} options
+ * @param {number} options.start - Seconds
+ * @param {number} options.end - Seconds
+ * @param {boolean} options.copy - Stream copy instead of re-encoding
+ */
+export function buildClipArgs(inputPath, outputPath, { start, end, copy }) {
+  const codecs = copy
+    ? ["-c", "copy", "-avoid_negative_ts", "make_zero"]
+    : ["-c:v", "libx264", "-preset", "veryfast", "-crf", "20", "-c:a", "aac", "-b:a", "160k"];
+  return [
+    "-hide_banner", "-y",
+    ...seekArgs({ start, end }),
+    "-i", inputPath,
+    "-map", "0:v:0", "-map", "0:a:0?",
+    ...codecs,
+    "-movflags", "+faststart",
+    outputPath,
+  ];
+}
@@ -0,0 +1,117 @@
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createStorage } from "./storage/index.js";
+
+/**
+ * Configuration shared by the API server, the job worker and the command-line
+ * tools: env helpers, the storage driver settings and the background job
+ * settings.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export function env(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === null || raw === "") {
+    if (fallback === undefined) {
+      throw new Error(`Missing env: ${name}`);
+    }
+    return fallback;
+  }
+  return raw;
+}
+
+// Split a comma-separated setting into its non-empty entries
+export function splitList(value) {
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+// Gateway URL for constructing public video URLs
+export const GATEWAY_URL = env("GATEWAY_URL", "http://localhost:8081");
+
+// Background jobs (see jobQueue.js and jobs.js)
+export const JOB_CONCURRENCY = Number(env("JOB_CONCURRENCY", "2"));
+export const JOB_POLL_INTERVAL_SECONDS = Number(env("JOB_POLL_INTERVAL_SECONDS", "5"));
+export const JOB_LEASE_SECONDS = Number(env("JOB_LEASE_SECONDS", "60"));
+export const JOB_RETENTION_DAYS = Number(env("JOB_RETENTION_DAYS", "14"));
+
+// Deleted uploads stay in the trash this long before they are purged
+export const TRASH_RETENTION_DAYS = Number(env("TRASH_RETENTION_DAYS", "30"));
+export const TRASH_PURGE_INTERVAL_MINUTES = Number(env("TRASH_PURGE_INTERVAL_MINUTES", "60"));
+
+// Report-only storage reconciliation on a cron schedule (UTC), off when empty
+export const RECONCILE_CRON = env("RECONCILE_CRON", "");
+
+// Azure configuration
+const AZURE_STORAGE_ACCOUNT = env("AZURE_STORAGE_ACCOUNT", "");
+const AZURE_STORAGE_CONNECTION_STRING = env("AZURE_STORAGE_CONNECTION_STRING", "");
+const AZURE_STORAGE_CONTAINER = env("AZURE_STORAGE_CONTAINER", "videos");
+const USE_AZURE = AZURE_STORAGE_ACCOUNT !== "" || AZURE_STORAGE_CONNECTION_STRING !== "";
+
+// S3-compatible storage configuration (AWS S3, MinIO)
+const S3_BUCKET = env("S3_BUCKET", "videos");
+const S3_ENDPOINT = env("S3_ENDPOINT", "");
+const S3_REGION = env("S3_REGION", "us-east-1");
+const S3_ACCESS_KEY_ID = env("S3_ACCESS_KEY_ID", "");
+const S3_SECRET_ACCESS_KEY = env("S3_SECRET_ACCESS_KEY", "");
+const S3_FORCE_PATH_STYLE = env("S3_FORCE_PATH_STYLE", "false") === "true";
+const S3_PUBLIC_URL = env("S3_PUBLIC_URL", "");
+
+// Storage backend ("azure", "local" or "s3"). Defaults to Azure when Azure
+// credentials are configured and to local storage otherwise.
+const STORAGE_DRIVER = env("STORAGE_DRIVER", USE_AZURE ? "azure" : "local");
+
+// Local storage configuration
+const LOCAL_STORAGE_DIR = path.join(__dirname, "..", "local-storage");
+
+// Signed URLs served by the service itself: local-mode files (the equivalent
+// of Azure SAS tokens) and, with every driver, HLS playlists. Every process
+// must use the same secret, or URLs signed by one are rejected by the others.
+// Only in development (NODE_ENV=development) may it be left out; a random
+// secret is used then, so URLs do not survive a restart.
+function developmentSigningSecret() {
+  if (process.env.NODE_ENV !== "development") {
+    throw new Error("VIDEO_URL_SIGNING_SECRET is required (or set NODE_ENV=development)");
+  }
+  console.warn("[SVC-VIDEO] VIDEO_URL_SIGNING_SECRET is not set, using a random secret (development only)");
+  return crypto.randomBytes(32).toString("hex");
+}
+export const VIDEO_URL_SIGNING_SECRET = env("VIDEO_URL_SIGNING_SECRET", "") || developmentSigningSecret();
+const LOCAL_VIDEO_BASE_URL = `${GATEWAY_URL}/api/videos`;
+const HLS_PLAYLIST_BASE_URL = `${GATEWAY_URL}/api/hls`;
+
+/**
+ * Create the storage driver selected by the environment
+ * @returns {import("./storage/index.js").StorageDriver}
+ */
+export function createConfiguredStorage() {
+  return createStorage({
+    driver: STORAGE_DRIVER,
+    azure: {
+      account: AZURE_STORAGE_ACCOUNT,
+      connectionString: AZURE_STORAGE_CONNECTION_STRING,
+      container: AZURE_STORAGE_CONTAINER,
+      playlists: { baseUrl: HLS_PLAYLIST_BASE_URL, signingSecret: VIDEO_URL_SIGNING_SECRET },
+    },
+    local: {
+      rootDir: LOCAL_STORAGE_DIR,
+      baseUrl: LOCAL_VIDEO_BASE_URL,
+      signingSecret: VIDEO_URL_SIGNING_SECRET,
+    },
+    s3: {
+      bucket: S3_BUCKET,
+      endpoint: S3_ENDPOINT,
+      region: S3_REGION,
+      accessKeyId: S3_ACCESS_KEY_ID,
+      secretAccessKey: S3_SECRET_ACCESS_KEY,
+      forcePathStyle: S3_FORCE_PATH_STYLE,
+      publicUrl: S3_PUBLIC_URL,
+      playlists: { baseUrl: HLS_PLAYLIST_BASE_URL, signingSecret: VIDEO_URL_SIGNING_SECRET },
+    },
+  });
+}
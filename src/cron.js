@@ -0,0 +1,123 @@
+/**
+ * Cron expressions for scheduled jobs.
+ *
+ * Five fields, evaluated in UTC: minute (0-59), hour (0-23), day of month
+ * (1-31), month (1-12) and day of week (0-6, Sunday = 0 or 7). A field is `*`,
+ * a value, a range `a-b`, a step `*\/n` or `a-b/n`, or a comma-separated list
+ * of those. As in classic cron, a job whose day of month and day of week are
+ * both restricted runs when either matches. `@hourly`, `@daily`, `@weekly`,
+ * `@monthly` and `@yearly` are accepted as shorthands.
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const SHORTHANDS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *",
+};
+
+// Give up looking for a matching time after this many years (e.g. "0 0 30 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+// Parse one field into the set of values it matches
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} "${part}"`);
+    }
+    const [, range, from, to, step] = match;
+    const start = range === "*" ? min : Number(from);
+    const end = range === "*" ? max : to !== undefined ? Number(to) : step ? max : start;
+    const increment = step ? Number(step) : 1;
+    if (start < min || end > max || start > end || increment < 1) {
+      throw new Error(`Invalid ${name} "${part}" (allowed: ${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += increment) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression
+ * @returns {{ minutes: Set<number>, hours: Set<number>, days: Set<number>, months: Set<number>,
+ *   weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean }}
+ * @throws {Error} if the expression is invalid
+ */
+export function parseCron(expression) {
+  const fields = (SHORTHANDS[expression.trim()] ?? expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+  let parsed;
+  try {
+    parsed = fields.map((field, index) => parseField(field, FIELDS[index]));
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+  }
+  const [minutes, hours, days, months, weekdays] = parsed;
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === "*",
+    anyWeekday: fields[4] === "*",
+  };
+}
+
+function dayMatches(schedule, time) {
+  const day = schedule.days.has(time.getUTCDate());
+  const weekday = schedule.weekdays.has(time.getUTCDay());
+  if (!schedule.anyDay && !schedule.anyWeekday) {
+    return day || weekday;
+  }
+  return day && weekday;
+}
+
+/**
+ * The first time after `after` (to the minute) that a schedule matches
+ * @param {ReturnType<typeof parseCron>} schedule
+ * @param {Date} after
+ * @returns {Date}
+ */
+export function nextCronTime(schedule, after) {
+  const time = new Date(after);
+  time.setUTCSeconds(0, 0);
+  time.setUTCMinutes(time.getUTCMinutes() + 1);
+  const limit = after.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+
+  while (time.getTime() <= limit) {
+    if (!schedule.months.has(time.getUTCMonth() + 1)) {
+      time.setUTCMonth(time.getUTCMonth() + 1, 1);
+      time.setUTCHours(0, 0);
+    } else if (!dayMatches(schedule, time)) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0);
+    } else if (!schedule.hours.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0);
+    } else if (!schedule.minutes.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1);
+    } else {
+      return time;
+    }
+  }
+  throw new Error("The cron expression never matches");
+}
@@ -0,0 +1,25 @@
+/**
+ * Direct-to-storage uploads. Initiating one creates a pending upload and hands
+ * out a short-lived write URL for its blob (Azure SAS, S3 presigned URL or a
+ * signed local-mode URL); the client PUTs the file to storage itself and then
+ * completes the upload, which verifies the blob before the upload joins the
+ * lecture's playlist. Pending uploads that are never completed expire.
+ */
+
+export const UPLOAD_STATUS = {
+  PENDING: "pending",
+  COMPLETED: "completed",
+};
+
+/**
+ * Headers the client has to send with the PUT to the write URL
+ * @param {string} driver - Storage driver name
+ * @param {string} mimeType
+ */
+export function writeHeaders(driver, mimeType) {
+  const headers = { "Content-Type": mimeType };
+  if (driver === "azure") {
+    headers["x-ms-blob-type"] = "BlockBlob";
+  }
+  return headers;
+}
@@ -0,0 +1,590 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { PROBE_FIELDS, probeMedia, findKeyframeBefore } from "./mediaProbe.js";
+import { ENCODING_EVENT_TYPES, recordEvent } from "./events/index.js";
+import { hashFile } from "./checksums.js";
+import {
+  CLIP_METHODS,
+  KEYFRAME_TOLERANCE_SECONDS,
+  awaitingClipFile,
+  buildClipArgs,
+  seekArgs,
+  trimmedDuration,
+} from "./clips.js";
+import {
+  THUMBNAILS_VTT_FILE,
+  thumbnailPrefix,
+  thumbnailPlan,
+  buildPosterArgs,
+  buildThumbnailArgs,
+  buildThumbnailVtt,
+} from "./thumbnails.js";
+
+/**
+ * Background encoding worker.
+ *
+ * Polls for uploads with `encoding_status = "pending"`, claims them by moving
+ * them to "processing", probes the source with ffprobe to record its technical
+ * metadata, runs ffmpeg to produce an HLS ladder and stores the playlists and
+ * segments next to the source blob under `<baseName>/hls/`. Poster frame,
+ * thumbnails and sprite sheet go to `<baseName>/thumbnails/`. Status changes
+ * are recorded as `video.encoding.*` events in the same transaction.
+ *
+ * Clips are cut out of their source first (see clips.js). A trim on an upload
+ * limits the HLS output and thumbnails to the trimmed range.
+ *
+ * A deduplicated upload shares the blob, and so the HLS output and thumbnails,
+ * of the upload it was deduplicated from. It is not encoded again: it takes
+ * over the outcome of the source's encoding, once there is one.
+ */
+
+export const ENCODING_STATUS = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+// Renditions of the HLS ladder, highest first
+export const RENDITIONS = [
+  { name: "1080p", height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+  { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: "480p", height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: "360p", height: 360, videoBitrate: 800, audioBitrate: 96 },
+];
+
+const HLS_SEGMENT_SECONDS = 6;
+const MASTER_PLAYLIST = "master.m3u8";
+
+const CONTENT_TYPES = {
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+  ".jpg": "image/jpeg",
+  ".vtt": "text/vtt",
+};
+
+/**
+ * Blob prefix of the HLS output for a source blob, e.g.
+ * `lecture_123_talk.mp4` -> `lecture_123_talk/hls`
+ */
+export function hlsPrefix(blobName) {
+  return `${blobName.replace(/\.[^.]+$/, "")}/hls`;
+}
+
+/**
+ * The columns a deduplicated upload takes over from its encoded source: HLS
+ * URL, probe metadata and thumbnails
+ * @param {object} source
+ */
+export function sharedEncoding(source) {
+  return {
+    hls_url: source.hls_url,
+    ...Object.fromEntries(PROBE_FIELDS.map((field) => [field, source[field]])),
+    probed_at: source.probed_at,
+    thumbnail_count: source.thumbnail_count,
+    thumbnail_interval: source.thumbnail_interval,
+  };
+}
+
+/**
+ * Whether an upload can take over the encoding of the upload it was
+ * deduplicated from. Trimmed uploads have their own HLS range.
+ * @param {object} upload
+ * @param {object | null} source
+ */
+export function sharesEncoding(upload, source) {
+  return (
+    Boolean(source) &&
+    source.id === upload.deduplicated_from &&
+    source.blob_name === upload.blob_name &&
+    upload.trim_start === null &&
+    upload.trim_end === null &&
+    source.trim_start === null &&
+    source.trim_end === null
+  );
+}
+
+/**
+ * Renditions that do not upscale a source of the given height (at least one)
+ */
+export function renditionsFor(sourceHeight) {
+  const fitting = RENDITIONS.filter((r) => !sourceHeight || r.height <= sourceHeight);
+  return fitting.length > 0 ? fitting : RENDITIONS.slice(-1);
+}
+
+/**
+ * Build ffmpeg arguments that encode all renditions in a single pass and
+ * write a master playlist referencing one media playlist per rendition.
+ * @param {string} inputPath
+ * @param {string} outputDir
+ * @param {object} [options]
+ * @param {typeof RENDITIONS} [options.renditions]
+ * @param {boolean} [options.hasAudio] - Map an audio stream into every rendition
+ * @param {{ start?: number | null, end?: number | null }} [options.trim] - Range to encode
+ */
+export function buildFfmpegArgs(
+  inputPath,
+  outputDir,
+  { renditions = RENDITIONS, hasAudio = true, trim = {} } = {}
+) {
+  const split = renditions.map((_r, i) => `[v${i}]`).join("");
+  const scales = renditions.map((r, i) => `[v${i}]scale=-2:${r.height}[v${i}out]`);
+  const filter = [`[0:v]split=${renditions.length}${split}`, ...scales].join(";");
+
+  const args = ["-hide_banner", "-y", ...seekArgs(trim), "-i", inputPath, "-filter_complex", filter];
+
+  renditions.forEach((r, i) => {
+    args.push(
+      "-map", `[v${i}out]`,
+      `-c:v:${i}`, "libx264",
+      `-b:v:${i}`, `${r.videoBitrate}k`,
+      `-maxrate:v:${i}`, `${Math.round(r.videoBitrate * 1.07)}k`,
+      `-bufsize:v:${i}`, `${r.videoBitrate * 2}k`
+    );
+    if (hasAudio) {
+      args.push("-map", "0:a:0", `-c:a:${i}`, "aac", `-b:a:${i}`, `${r.audioBitrate}k`, "-ac", "2");
+    }
+  });
+
+  const streamMap = renditions
+    .map((r, i) => (hasAudio ? `v:${i},a:${i},name:${r.name}` : `v:${i},name:${r.name}`))
+    .join(" ");
+
+  args.push(
+    "-preset", "veryfast",
+    // Keyframe every segment so all renditions switch cleanly
+    "-force_key_frames", `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+    "-f", "hls",
+    "-hls_time", String(HLS_SEGMENT_SECONDS),
+    "-hls_playlist_type", "vod",
+    "-hls_segment_filename", path.join(outputDir, "%v", "segment_%04d.ts"),
+    "-master_pl_name", MASTER_PLAYLIST,
+    "-var_stream_map", streamMap,
+    path.join(outputDir, "%v", "index.m3u8")
+  );
+
+  return args;
+}
+
+/**
+ * Run ffmpeg and reject with the tail of its stderr if it fails
+ * @param {string[]} args
+ * @param {object} options
+ * @param {string} options.ffmpegPath
+ * @param {number} options.timeoutMs - Kill ffmpeg if it runs longer than this
+ */
+export function runFfmpeg(args, { ffmpegPath, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args, { stdio: ["ignore", "ignore", "pipe"] });
+    let stderr = "";
+
+    child.stderr.on("data", (data) => {
+      // Only the end of the log is useful for error reporting
+      stderr = (stderr + data.toString()).slice(-4000);
+    });
+
+    const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Failed to start ffmpeg: ${error.message}`));
+    });
+
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        return resolve();
+      }
+      const reason = signal ? `killed by ${signal}` : `exited with code ${code}`;
+      const lastLines = stderr.trim().split("\n").slice(-5).join("\n");
+      reject(new Error(`ffmpeg ${reason}: ${lastLines}`));
+    });
+  });
+}
+
+// List all files below a directory, relative to it, using "/" separators
+async function listFiles(dir, prefix = "") {
+  const entries = await fs.promises.readdir(path.join(dir, prefix), { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(dir, relative)));
+    } else {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+/**
+ * Start polling for pending uploads.
+ * @param {object} options
+ * @param {import("@prisma/client").PrismaClient} options.prisma
+ * @param {import("./storage/index.js").StorageDriver} options.storage
+ * @param {string} [options.ffmpegPath]
+ * @param {string} [options.ffprobePath]
+ * @param {number} [options.concurrency]
+ * @param {number} [options.pollIntervalMs]
+ * @param {number} [options.timeoutMs] - Max ffmpeg run time per upload
+ * @param {number} [options.leaseMs] - How long a claimed upload stays locked
+ *   without a heartbeat; the worker extends it while it encodes
+ * @param {number} [options.thumbnailInterval] - Seconds between thumbnails
+ * @param {number} [options.thumbnailMaxCount] - Upper bound on thumbnails per video
+ * @param {Console} [options.logger]
+ * @returns {{ stop: () => void }}
+ */
+export function startEncodingWorker({
+  prisma,
+  storage,
+  ffmpegPath = "ffmpeg",
+  ffprobePath = "ffprobe",
+  concurrency = 1,
+  pollIntervalMs = 10000,
+  timeoutMs = 4 * 60 * 60 * 1000,
+  leaseMs = 5 * 60 * 1000,
+  thumbnailInterval = 10,
+  thumbnailMaxCount = 500,
+  logger = console,
+}) {
+  let running = 0;
+  let stopped = false;
+  let timer;
+
+  // Upload every file of a local directory below a blob prefix
+  async function storeOutput(outputDir, prefix) {
+    for (const file of await listFiles(outputDir)) {
+      const contentType = CONTENT_TYPES[path.extname(file)] || "application/octet-stream";
+      await storage.putFile(`${prefix}/${file}`, path.join(outputDir, file), contentType);
+    }
+  }
+
+  async function generateThumbnails(upload, inputPath, duration, workDir, trim) {
+    const outputDir = path.join(workDir, "thumbnails");
+    await fs.promises.mkdir(outputDir);
+
+    const plan = thumbnailPlan(duration, { interval: thumbnailInterval, maxCount: thumbnailMaxCount });
+    await runFfmpeg(buildPosterArgs(inputPath, outputDir, duration, trim), { ffmpegPath, timeoutMs });
+    await runFfmpeg(buildThumbnailArgs(inputPath, outputDir, plan, trim), { ffmpegPath, timeoutMs });
+
+    // ffmpeg may emit one frame more or less than planned; frames past the end are not listed
+    const written = (await fs.promises.readdir(outputDir)).filter((f) => f.startsWith("thumb_")).length;
+    const count = Math.min(written, plan.count);
+    await fs.promises.writeFile(
+      path.join(outputDir, THUMBNAILS_VTT_FILE),
+      buildThumbnailVtt({ count, interval: plan.interval, duration })
+    );
+
+    await storeOutput(outputDir, thumbnailPrefix(upload.blob_name));
+    await prisma.videoUpload.update({
+      where: { id: upload.id },
+      data: { thumbnail_count: count, thumbnail_interval: plan.interval },
+    });
+  }
+
+  // Cut a clip's range with a stream copy where the method allows it, else
+  // re-encode it. Returns the method used and the actual start.
+  async function cutClip(input, outputPath, clip) {
+    const { clip_start: start, clip_end: end, clip_method: requested } = clip;
+    let copyStart = null;
+    if (requested !== CLIP_METHODS.REENCODE) {
+      const keyframe = start > 0 ? await findKeyframeBefore(input, start, { ffprobePath }) : 0;
+      const onKeyframe = keyframe !== null && start - keyframe <= KEYFRAME_TOLERANCE_SECONDS;
+      if (requested === CLIP_METHODS.COPY ? keyframe !== null : onKeyframe) {
+        copyStart = keyframe;
+      }
+    }
+
+    if (copyStart !== null) {
+      try {
+        await runFfmpeg(buildClipArgs(input, outputPath, { start: copyStart, end, copy: true }), {
+          ffmpegPath,
+          timeoutMs,
+        });
+        return { method: CLIP_METHODS.COPY, start: copyStart };
+      } catch (error) {
+        logger.error(`[ENCODER] Stream copy of clip ${clip.id} failed, re-encoding:`, error.message);
+      }
+    }
+    await runFfmpeg(buildClipArgs(input, outputPath, { start, end, copy: false }), { ffmpegPath, timeoutMs });
+    return { method: CLIP_METHODS.REENCODE, start };
+  }
+
+  // Cut a clip out of its source and store it as the clip's file. Remote
+  // sources are read through a signed URL, so ffmpeg only downloads the
+  // ranges it needs.
+  async function extractClip(clip, workDir) {
+    const source = await prisma.videoUpload.findUnique({ where: { id: clip.source_upload_id } });
+    if (!source) {
+      throw new Error("Source upload of the clip no longer exists");
+    }
+    const input = storage.localPath?.(source.blob_name) ?? (await storage.signedReadUrl(source.blob_name, 60));
+
+    const outputPath = path.join(workDir, "clip.mp4");
+    const { method, start } = await cutClip(input, outputPath, clip);
+    const { size } = await fs.promises.stat(outputPath);
+    const checksums = await hashFile(outputPath);
+    await storage.putFile(clip.blob_name, outputPath, clip.mime_type);
+    await storage.setContentMd5(clip.blob_name, checksums.md5, clip.mime_type);
+    await prisma.videoUpload.update({
+      where: { id: clip.id },
+      data: { file_size: size, ...checksums, clip_start: start, clip_method: method },
+    });
+    logger.log(`[ENCODER] Clip ${clip.id} cut from upload ${source.id} (${method})`);
+    return outputPath;
+  }
+
+  async function encode(upload) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "svc-video-encode-"));
+    try {
+      // Clips are cut first and encoded from the cut file. Local storage is
+      // read in place; other drivers need a local copy for ffmpeg.
+      let inputPath = awaitingClipFile(upload)
+        ? await extractClip(upload, workDir)
+        : storage.localPath?.(upload.blob_name);
+      if (!inputPath) {
+        inputPath = path.join(workDir, "source");
+        await storage.downloadToFile(upload.blob_name, inputPath);
+      }
+
+      // Uploads that are not a parseable video fail here with the probe error
+      const metadata = await probeMedia(inputPath, { ffprobePath });
+      await prisma.videoUpload.update({
+        where: { id: upload.id },
+        data: { ...metadata, probed_at: new Date() },
+      });
+
+      const trim = { start: upload.trim_start, end: upload.trim_end };
+      const outputDir = path.join(workDir, "hls");
+      const args = buildFfmpegArgs(inputPath, outputDir, {
+        renditions: renditionsFor(metadata.height),
+        hasAudio: metadata.audio_codec !== null,
+        trim,
+      });
+      await runFfmpeg(args, { ffmpegPath, timeoutMs });
+
+      const prefix = hlsPrefix(upload.blob_name);
+      await storeOutput(outputDir, prefix);
+
+      // Thumbnails are a nice-to-have; a failure does not fail the encoding
+      const duration = trimmedDuration(metadata.duration ?? 0, upload);
+      if (duration > 0) {
+        try {
+          await generateThumbnails(upload, inputPath, duration, workDir, trim);
+        } catch (error) {
+          logger.error(`[ENCODER] Thumbnails for upload ${upload.id} failed:`, error);
+        }
+      }
+
+      return storage.url(`${prefix}/${MASTER_PLAYLIST}`);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // Change the status of an upload and record the matching event
+  function setStatus(id, data) {
+    return prisma.$transaction(async (tx) => {
+      const updated = await tx.videoUpload.update({ where: { id }, data: { ...data, encoding_locked_until: null } });
+      await recordEvent(tx, ENCODING_EVENT_TYPES[data.encoding_status], updated);
+    });
+  }
+
+  // Give a deduplicated upload the outcome of its source's encoding, unless
+  // it has been finished otherwise meanwhile
+  function finishDuplicate(upload, source) {
+    const data =
+      source.encoding_status === ENCODING_STATUS.COMPLETED
+        ? { encoding_status: ENCODING_STATUS.COMPLETED, encoding_error: null, ...sharedEncoding(source) }
+        : { encoding_status: ENCODING_STATUS.FAILED, encoding_error: source.encoding_error };
+    return prisma.$transaction(async (tx) => {
+      const { count } = await tx.videoUpload.updateMany({
+        where: {
+          id: upload.id,
+          encoding_status: { in: [ENCODING_STATUS.PENDING, ENCODING_STATUS.PROCESSING] },
+        },
+        data: { ...data, encoding_locked_until: null },
+      });
+      if (count > 0) {
+        await recordEvent(tx, ENCODING_EVENT_TYPES[data.encoding_status], { ...upload, ...data });
+        logger.log(`[ENCODER] Upload ${upload.id} shares the encoding of upload ${source.id}`);
+      }
+    });
+  }
+
+  // Finish the uploads that wait for the encoding of `source`
+  async function finishDuplicatesOf(source) {
+    const duplicates = await prisma.videoUpload.findMany({
+      where: {
+        deduplicated_from: source.id,
+        encoding_status: { in: [ENCODING_STATUS.PENDING, ENCODING_STATUS.PROCESSING] },
+      },
+    });
+    for (const duplicate of duplicates) {
+      if (sharesEncoding(duplicate, source)) {
+        await finishDuplicate(duplicate, source);
+      }
+    }
+  }
+
+  // Handle a deduplicated upload without encoding it: take over the outcome
+  // of its source, or wait for the source's encoding (finishDuplicatesOf).
+  // A waiting upload is "processing" without a lease: nothing works on it, so
+  // poll() leaves it to checkWaitingDuplicates instead of re-queueing it.
+  // Returns false if the upload has to be encoded after all, e.g. because the
+  // source was deleted before it was encoded.
+  async function linkDuplicate(upload, claim) {
+    const source = await prisma.videoUpload.findUnique({ where: { id: upload.deduplicated_from } });
+    if (!sharesEncoding(upload, source)) {
+      return false;
+    }
+    if ([ENCODING_STATUS.COMPLETED, ENCODING_STATUS.FAILED].includes(source.encoding_status)) {
+      await finishDuplicate(upload, source);
+      return true;
+    }
+    if (source.deleted_at) {
+      return false;
+    }
+    if (await claim(null)) {
+      logger.log(`[ENCODER] Upload ${upload.id} waits for the encoding of upload ${source.id}`);
+    }
+    return true;
+  }
+
+  // Settle waiting duplicates whose source will not finish them: finished
+  // while they were being claimed, or deleted or changed before it was encoded.
+  // These go back to "pending" to be linked again or encoded themselves.
+  async function checkWaitingDuplicates() {
+    const waiting = await prisma.videoUpload.findMany({
+      where: {
+        encoding_status: ENCODING_STATUS.PROCESSING,
+        encoding_locked_until: null,
+        deduplicated_from: { not: null },
+      },
+    });
+    for (const upload of waiting) {
+      const source = await prisma.videoUpload.findUnique({ where: { id: upload.deduplicated_from } });
+      if (!sharesEncoding(upload, source) || source.deleted_at) {
+        await prisma.videoUpload.updateMany({
+          where: { id: upload.id, encoding_status: ENCODING_STATUS.PROCESSING, encoding_locked_until: null },
+          data: { encoding_status: ENCODING_STATUS.PENDING },
+        });
+      } else if ([ENCODING_STATUS.COMPLETED, ENCODING_STATUS.FAILED].includes(source.encoding_status)) {
+        await finishDuplicate(upload, source);
+      }
+    }
+  }
+
+  async function processUpload(upload) {
+    // Claim the upload; another worker may have been faster. Uploads that are
+    // encoded here hold a lease until `lockedUntil`, waiting duplicates none.
+    const claim = (lockedUntil) => {
+      const data = {
+        encoding_status: ENCODING_STATUS.PROCESSING,
+        encoding_error: null,
+        encoding_locked_until: lockedUntil,
+      };
+      return prisma.$transaction(async (tx) => {
+        const { count } = await tx.videoUpload.updateMany({
+          where: { id: upload.id, encoding_status: ENCODING_STATUS.PENDING },
+          data,
+        });
+        if (count > 0) {
+          await recordEvent(tx, ENCODING_EVENT_TYPES.processing, { ...upload, ...data });
+        }
+        return count > 0;
+      });
+    };
+    if (upload.deduplicated_from && (await linkDuplicate(upload, claim))) {
+      return;
+    }
+    if (!(await claim(new Date(Date.now() + leaseMs)))) {
+      return;
+    }
+
+    // Extend the lease while encoding, so the upload is not re-queued
+    const heartbeat = setInterval(async () => {
+      try {
+        await prisma.videoUpload.updateMany({
+          where: { id: upload.id, encoding_status: ENCODING_STATUS.PROCESSING },
+          data: { encoding_locked_until: new Date(Date.now() + leaseMs) },
+        });
+      } catch (error) {
+        logger.error(`[ENCODER] Failed to extend the lease of upload ${upload.id}:`, error.message);
+      }
+    }, leaseMs / 3);
+    heartbeat.unref();
+
+    logger.log(`[ENCODER] Encoding upload ${upload.id}`);
+    try {
+      const hlsUrl = await encode(upload);
+      await setStatus(upload.id, { encoding_status: ENCODING_STATUS.COMPLETED, hls_url: hlsUrl });
+      logger.log(`[ENCODER] Upload ${upload.id} encoded: ${hlsUrl}`);
+    } catch (error) {
+      logger.error(`[ENCODER] Upload ${upload.id} failed:`, error);
+      await setStatus(upload.id, { encoding_status: ENCODING_STATUS.FAILED, encoding_error: error.message });
+    } finally {
+      clearInterval(heartbeat);
+    }
+    await finishDuplicatesOf(await prisma.videoUpload.findUnique({ where: { id: upload.id } }));
+  }
+
+  async function poll() {
+    try {
+      // Re-queue uploads whose worker died mid-encode: a live worker keeps
+      // extending its lease. Uploads processed elsewhere have no lease; a live
+      // encoder is done within timeoutMs, so twice that is safely abandoned.
+      // Waiting duplicates have no lease either and are checked separately.
+      const now = Date.now();
+      await prisma.videoUpload.updateMany({
+        where: {
+          encoding_status: ENCODING_STATUS.PROCESSING,
+          OR: [
+            { encoding_locked_until: { lt: new Date(now) } },
+            {
+              encoding_locked_until: null,
+              deduplicated_from: null,
+              updated_at: { lt: new Date(now - 2 * timeoutMs) },
+            },
+          ],
+        },
+        data: { encoding_status: ENCODING_STATUS.PENDING, encoding_locked_until: null },
+      });
+      await checkWaitingDuplicates();
+
+      const free = concurrency - running;
+      if (free > 0) {
+        const pending = await prisma.videoUpload.findMany({
+          where: { encoding_status: ENCODING_STATUS.PENDING, deleted_at: null },
+          orderBy: { created_at: "asc" },
+          take: free,
+        });
+        for (const upload of pending) {
+          running++;
+          processUpload(upload)
+            .catch((error) => logger.error("[ENCODER] Unexpected error:", error))
+            .finally(() => {
+              running--;
+            });
+        }
+      }
+    } catch (error) {
+      logger.error("[ENCODER] Failed to poll for pending uploads:", error);
+    }
+    if (!stopped) {
+      timer = setTimeout(poll, pollIntervalMs);
+      timer.unref();
+    }
+  }
+
+  poll();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
@@ -0,0 +1,200 @@
+import { toCloudEvent } from "./index.js";
+
+/**
+ * Event dispatcher.
+ *
+ * Polls the outbox for new events and fans each one out into a delivery per
+ * configured sink, then sends due deliveries. A failed delivery is retried
+ * with exponential backoff until `maxAttempts`, after which it is marked
+ * "failed" and can be retried through the admin API. Deliveries are at least
+ * once and not ordered across events; consumers deduplicate by event `id`.
+ *
+ * Several instances can run side by side: events are fanned out by a
+ * conditional update on `dispatched_at` and deliveries are claimed by moving
+ * `next_attempt_at` past a lease, which also re-queues deliveries of an
+ * instance that died mid-send.
+ */
+
+export const DELIVERY_STATUS = {
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+};
+
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// Longer than any sink's timeout
+const DELIVERY_LEASE_MS = 60 * 1000;
+
+/**
+ * Delay before the next attempt after `attempts` failures: 5 s doubling up
+ * to one hour, with ±20% jitter
+ */
+export function retryDelayMs(attempts) {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Start dispatching outbox events.
+ * @param {object} options
+ * @param {import("@prisma/client").PrismaClient} options.prisma
+ * @param {import("./index.js").EventSink[]} options.sinks
+ * @param {string} options.source - CloudEvents `source` of this service
+ * @param {number} [options.pollIntervalMs]
+ * @param {number} [options.batchSize]
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.retentionDays] - Delete finished events after this long
+ * @param {Console} [options.logger]
+ * @returns {{ stop: () => void }}
+ */
+export function startEventDispatcher({
+  prisma,
+  sinks,
+  source,
+  pollIntervalMs = 5000,
+  batchSize = 50,
+  maxAttempts = 10,
+  retentionDays = 7,
+  logger = console,
+}) {
+  const sinksByName = new Map(sinks.map((sink) => [sink.name, sink]));
+  let stopped = false;
+  let timer;
+  let lastCleanup = 0;
+
+  // Create the deliveries of new events
+  async function fanOut() {
+    const events = await prisma.outboxEvent.findMany({
+      where: { dispatched_at: null },
+      orderBy: { created_at: "asc" },
+      take: batchSize,
+      select: { id: true },
+    });
+    for (const event of events) {
+      await prisma.$transaction(async (tx) => {
+        const claimed = await tx.outboxEvent.updateMany({
+          where: { id: event.id, dispatched_at: null },
+          data: { dispatched_at: new Date() },
+        });
+        if (claimed.count === 0 || sinks.length === 0) {
+          return;
+        }
+        await tx.eventDelivery.createMany({
+          data: sinks.map((sink) => ({ event_id: event.id, sink: sink.name })),
+          skipDuplicates: true,
+        });
+      });
+    }
+  }
+
+  async function deliver(delivery) {
+    const now = new Date();
+    // Claim the delivery; another instance may have been faster
+    const claimed = await prisma.eventDelivery.updateMany({
+      where: { id: delivery.id, status: DELIVERY_STATUS.PENDING, next_attempt_at: delivery.next_attempt_at },
+      data: { next_attempt_at: new Date(now.getTime() + DELIVERY_LEASE_MS) },
+    });
+    if (claimed.count === 0) {
+      return;
+    }
+
+    const event = await prisma.outboxEvent.findUnique({ where: { id: delivery.event_id } });
+    const attempts = delivery.attempts + 1;
+    try {
+      await sinksByName.get(delivery.sink).deliver(toCloudEvent(event, source));
+      await prisma.eventDelivery.update({
+        where: { id: delivery.id },
+        data: { status: DELIVERY_STATUS.DELIVERED, attempts, delivered_at: new Date(), last_error: null },
+      });
+    } catch (error) {
+      const failed = attempts >= maxAttempts;
+      await prisma.eventDelivery.update({
+        where: { id: delivery.id },
+        data: failed
+          ? { status: DELIVERY_STATUS.FAILED, attempts, last_error: error.message }
+          : {
+              attempts,
+              last_error: error.message,
+              next_attempt_at: new Date(Date.now() + retryDelayMs(attempts)),
+            },
+      });
+      const message = `[EVENTS] Delivery of ${event.type} ${event.id} to ${delivery.sink} failed (attempt ${attempts}/${maxAttempts}): ${error.message}`;
+      if (failed) {
+        logger.error(message);
+      } else {
+        logger.warn(message);
+      }
+    }
+  }
+
+  // Delete old events whose deliveries have all finished, with their deliveries
+  async function cleanup() {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const old = await prisma.outboxEvent.findMany({
+      where: { dispatched_at: { lt: cutoff } },
+      select: { id: true },
+      take: 1000,
+    });
+    const unfinished = await prisma.eventDelivery.findMany({
+      where: { event_id: { in: old.map((event) => event.id) }, status: DELIVERY_STATUS.PENDING },
+      select: { event_id: true },
+    });
+    const keep = new Set(unfinished.map((delivery) => delivery.event_id));
+    const ids = old.map((event) => event.id).filter((id) => !keep.has(id));
+    if (ids.length === 0) {
+      return;
+    }
+    await prisma.$transaction([
+      prisma.eventDelivery.deleteMany({ where: { event_id: { in: ids } } }),
+      prisma.outboxEvent.deleteMany({ where: { id: { in: ids } } }),
+    ]);
+    logger.log(`[EVENTS] Deleted ${ids.length} old events`);
+  }
+
+  async function poll() {
+    try {
+      await fanOut();
+
+      // Deliveries to sinks that are no longer configured stay pending
+      const due = await prisma.eventDelivery.findMany({
+        where: {
+          status: DELIVERY_STATUS.PENDING,
+          sink: { in: [...sinksByName.keys()] },
+          next_attempt_at: { lte: new Date() },
+        },
+        orderBy: { next_attempt_at: "asc" },
+        take: batchSize,
+      });
+      for (const delivery of due) {
+        if (stopped) {
+          break;
+        }
+        await deliver(delivery);
+      }
+
+      if (Date.now() - lastCleanup > 60 * 60 * 1000) {
+        lastCleanup = Date.now();
+        await cleanup();
+      }
+    } catch (error) {
+      logger.error("[EVENTS] Failed to dispatch events:", error);
+    }
+    if (!stopped) {
+      timer = setTimeout(poll, pollIntervalMs);
+      timer.unref();
+    }
+  }
+
+  poll();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      for (const sink of sinks) {
+        sink.close?.();
+      }
+    },
+  };
+}
@@ -0,0 +1,47 @@
+import { signWebhook } from "../webhooks.js";
+
+/**
+ * HTTP webhook subscriber. Events are POSTed as structured CloudEvents
+ * (`application/cloudevents+json`); any non-2xx response is retried.
+ *
+ * With a secret, deliveries are signed like the webhooks this service
+ * receives: `webhook-id` (the event ID), `webhook-timestamp` and
+ * `webhook-signature: v1=<hex HMAC-SHA256 of "<timestamp>.<body>">`.
+ * @param {object} options
+ * @param {string} options.url
+ * @param {string} [options.secret]
+ * @param {number} [options.timeoutMs]
+ * @returns {import("./index.js").EventSink}
+ */
+export function createWebhookSink({ url, secret, timeoutMs = 10000 }) {
+  // Subscribers are told apart by URL; credentials in it are not stored
+  const parsed = new URL(url);
+  parsed.username = "";
+  parsed.password = "";
+  const name = `webhook:${parsed}`;
+
+  return {
+    name,
+
+    async deliver(event) {
+      const body = JSON.stringify(event);
+      const headers = { "Content-Type": "application/cloudevents+json" };
+      if (secret) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        headers["webhook-id"] = event.id;
+        headers["webhook-timestamp"] = timestamp;
+        headers["webhook-signature"] = signWebhook(secret, timestamp, body);
+      }
+
+      const response = await fetch(url, {
+        method: "POST",
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        throw new Error(`Subscriber responded with ${response.status} ${response.statusText}`);
+      }
+    },
+  };
+}
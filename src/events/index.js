@@ -0,0 +1,145 @@
+import { createWebhookSink } from "./http.js";
+import { createRedisStreamSink } from "./redis.js";
+
+/**
+ * Domain events for the upload lifecycle (transactional outbox).
+ *
+ * Handlers write events with `recordEvent(tx, ...)` inside the Prisma
+ * transaction that makes the change, so an event exists exactly when the
+ * change was committed. The dispatcher (`dispatcher.js`) later publishes
+ * them to the configured sinks as CloudEvents 1.0 structured JSON:
+ *
+ * {
+ *   "specversion": "1.0",
+ *   "id": "<event uuid>",
+ *   "source": "/svc-video",
+ *   "type": "video.encoding.completed",
+ *   "subject": "<upload uuid>",
+ *   "time": "2025-03-17T10:00:00.000Z",
+ *   "datacontenttype": "application/json",
+ *   "lectureid": "<lecture uuid>",
+ *   "data": { "upload_id": "...", "lecture_id": "...", ... }
+ * }
+ *
+ * @typedef {object} EventSink
+ * @property {string} name - Unique per sink; stored on each delivery
+ * @property {(event: object) => Promise<void>} deliver - Rejects if the event should be retried
+ * @property {() => void} [close]
+ */
+
+export const EVENT_TYPES = {
+  UPLOAD_CREATED: "video.upload.created",
+  UPLOAD_PUBLISHED: "video.upload.published",
+  UPLOAD_ROLLED_BACK: "video.upload.rolled_back",
+  UPLOAD_DELETED: "video.upload.deleted",
+  UPLOAD_RESTORED: "video.upload.restored",
+  UPLOAD_PURGED: "video.upload.purged",
+  UPLOAD_TRIMMED: "video.upload.trimmed",
+  UPLOAD_UPDATED: "video.upload.updated",
+  ENCODING_PROCESSING: "video.encoding.processing",
+  ENCODING_COMPLETED: "video.encoding.completed",
+  ENCODING_FAILED: "video.encoding.failed",
+  TRANSCRIPTION_REQUESTED: "video.transcription.requested",
+  TRANSCRIPTION_PROCESSING: "video.transcription.processing",
+  TRANSCRIPTION_COMPLETED: "video.transcription.completed",
+  TRANSCRIPTION_FAILED: "video.transcription.failed",
+  TRANSCRIPTION_CANCELLED: "video.transcription.cancelled",
+};
+
+// Event types of encoding and transcription status changes, by new status
+export const ENCODING_EVENT_TYPES = {
+  processing: EVENT_TYPES.ENCODING_PROCESSING,
+  completed: EVENT_TYPES.ENCODING_COMPLETED,
+  failed: EVENT_TYPES.ENCODING_FAILED,
+};
+export const TRANSCRIPTION_EVENT_TYPES = {
+  pending: EVENT_TYPES.TRANSCRIPTION_REQUESTED,
+  processing: EVENT_TYPES.TRANSCRIPTION_PROCESSING,
+  completed: EVENT_TYPES.TRANSCRIPTION_COMPLETED,
+  failed: EVENT_TYPES.TRANSCRIPTION_FAILED,
+  cancelled: EVENT_TYPES.TRANSCRIPTION_CANCELLED,
+};
+
+// Upload fields included in every event's data
+function uploadEventData(upload) {
+  return {
+    upload_id: upload.id,
+    lecture_id: upload.lecture_id,
+    course_id: upload.course_id ?? null,
+    part_id: upload.part_id,
+    version: upload.version,
+    is_current: upload.is_current,
+    is_primary: upload.is_primary,
+    original_filename: upload.original_filename,
+    title: upload.title ?? null,
+    file_size: Number(upload.file_size),
+    mime_type: upload.mime_type,
+    encoding_status: upload.encoding_status,
+    encoding_error: upload.encoding_error ?? null,
+    duration: upload.duration ?? null,
+    hls_url: upload.hls_url ?? null,
+    transcription_status: upload.transcription_status ?? null,
+  };
+}
+
+/**
+ * Write an event about an upload to the outbox
+ * @param {object} tx - Prisma transaction client (or the client itself)
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} upload - The upload after the change
+ * @param {object} [data] - Additional event data
+ */
+export function recordEvent(tx, type, upload, data = {}) {
+  return tx.outboxEvent.create({
+    data: {
+      type,
+      subject: upload.id,
+      lecture_id: upload.lecture_id,
+      data: { ...uploadEventData(upload), ...data },
+    },
+  });
+}
+
+/**
+ * Build the CloudEvents envelope of an outbox row
+ * @param {object} event - OutboxEvent row
+ * @param {string} source - CloudEvents `source` of this service
+ */
+export function toCloudEvent(event, source) {
+  return {
+    specversion: "1.0",
+    id: event.id,
+    source,
+    type: event.type,
+    subject: event.subject,
+    time: event.created_at.toISOString(),
+    datacontenttype: "application/json",
+    lectureid: event.lecture_id,
+    data: event.data,
+  };
+}
+
+/**
+ * Create the sinks selected by configuration
+ * @param {object} config
+ * @param {string[]} config.webhookUrls - HTTP subscribers
+ * @param {string} [config.webhookSecret] - Signs webhook deliveries if set
+ * @param {"" | "redis"} [config.broker]
+ * @param {string} [config.brokerUrl] - e.g. redis://localhost:6379
+ * @param {string} [config.brokerStream] - Stream (topic) name
+ * @returns {EventSink[]}
+ */
+export function createEventSinks({ webhookUrls, webhookSecret, broker, brokerUrl, brokerStream }) {
+  const sinks = webhookUrls.map((url) => createWebhookSink({ url, secret: webhookSecret }));
+  switch (broker) {
+    case "":
+    case undefined:
+      break;
+    case "redis":
+      sinks.push(createRedisStreamSink({ url: brokerUrl, stream: brokerStream }));
+      break;
+    default:
+      throw new Error(`Unknown event broker: ${broker}`);
+  }
+  return sinks;
+}
@@ -0,0 +1,190 @@
+import net from "net";
+import tls from "tls";
+
+/**
+ * Message broker adapter: appends events to a Redis stream (XADD), which
+ * consumers read with consumer groups (XREADGROUP). Speaks the Redis
+ * protocol (RESP) directly over a single connection that is reopened after
+ * an error; run a local broker with `docker compose --profile events up`.
+ *
+ * Stream entries have the fields `id`, `type`, `subject` and `event` (the
+ * CloudEvents JSON).
+ */
+
+class RedisError extends Error {}
+
+function encodeCommand(args) {
+  return `*${args.length}\r\n${args.map((arg) => `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`).join("")}`;
+}
+
+// Parse one reply at `offset`; null if the buffer does not hold all of it yet
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf("\r\n", offset);
+  if (lineEnd < 0) {
+    return null;
+  }
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new RedisError(line), offset: next };
+    case ":":
+      return { value: Number(line), offset: next };
+    case "$": {
+      const length = Number(line);
+      if (length < 0) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString("utf8", next, next + length), offset: next + length + 2 };
+    }
+    case "*": {
+      const count = Number(line);
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: count < 0 ? null : items, offset: position };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type: ${type}`);
+  }
+}
+
+/**
+ * Create a sink that publishes to a Redis stream
+ * @param {object} options
+ * @param {string} options.url - redis://[user:password@]host[:port][/db] or rediss:// for TLS
+ * @param {string} options.stream
+ * @param {number} [options.maxLength] - Approximate stream length cap (MAXLEN ~)
+ * @param {number} [options.timeoutMs]
+ * @returns {import("./index.js").EventSink}
+ */
+export function createRedisStreamSink({ url, stream, maxLength = 100000, timeoutMs = 10000 }) {
+  const target = new URL(url);
+  if (target.protocol !== "redis:" && target.protocol !== "rediss:") {
+    throw new Error(`Unsupported broker URL: ${target.protocol}`);
+  }
+  const host = target.hostname || "localhost";
+  const port = Number(target.port) || 6379;
+  const database = target.pathname.slice(1);
+
+  let connection = null;
+
+  function connect() {
+    const socket =
+      target.protocol === "rediss:"
+        ? tls.connect({ host, port, servername: host })
+        : net.createConnection({ host, port });
+    socket.setTimeout(timeoutMs);
+
+    const pending = [];
+    let buffer = Buffer.alloc(0);
+
+    const fail = (error) => {
+      socket.destroy();
+      if (connection?.socket === socket) {
+        connection = null;
+      }
+      while (pending.length > 0) {
+        pending.shift().reject(error);
+      }
+    };
+
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        let reply;
+        while (pending.length > 0 && (reply = parseReply(buffer, 0))) {
+          buffer = buffer.subarray(reply.offset);
+          const { resolve, reject } = pending.shift();
+          if (reply.value instanceof RedisError) {
+            reject(reply.value);
+          } else {
+            resolve(reply.value);
+          }
+        }
+      } catch (error) {
+        fail(error);
+      }
+    });
+    socket.on("timeout", () => fail(new RedisError("Redis connection timed out")));
+    socket.on("error", (error) => fail(error));
+    socket.on("close", () => fail(new RedisError("Redis connection closed")));
+
+    const send = (args) =>
+      new Promise((resolve, reject) => {
+        if (socket.destroyed) {
+          return reject(new RedisError("Redis connection closed"));
+        }
+        pending.push({ resolve, reject });
+        socket.write(encodeCommand(args));
+      });
+
+    // Commands are queued by the socket until it connects
+    const ready = (async () => {
+      if (target.password) {
+        const password = decodeURIComponent(target.password);
+        await send(target.username ? ["AUTH", decodeURIComponent(target.username), password] : ["AUTH", password]);
+      }
+      if (database) {
+        await send(["SELECT", database]);
+      }
+    })();
+    // Surface setup errors on the next command rather than as unhandled rejections
+    ready.catch(() => {});
+
+    return { socket, send, ready };
+  }
+
+  async function command(args) {
+    if (!connection) {
+      connection = connect();
+    }
+    const { socket, send, ready } = connection;
+    try {
+      await ready;
+    } catch (error) {
+      // e.g. wrong password; reconnect on the next command
+      socket.destroy();
+      if (connection?.socket === socket) {
+        connection = null;
+      }
+      throw error;
+    }
+    return send(args);
+  }
+
+  return {
+    name: `redis:${stream}`,
+
+    async deliver(event) {
+      await command([
+        "XADD", stream,
+        "MAXLEN", "~", String(maxLength),
+        "*",
+        "id", event.id,
+        "type", event.type,
+        "subject", event.subject,
+        "event", JSON.stringify(event),
+      ]);
+    },
+
+    close() {
+      connection?.socket.end();
+      connection = null;
+    },
+  };
+}
@@ -0,0 +1,113 @@
+import fs from "fs";
+
+/**
+ * Video container detection from magic bytes, so the stored MIME type comes
+ * from the file contents rather than the client's Content-Type.
+ */
+
+// Enough bytes to see an ftyp box, the EBML DocType or three TS packets
+export const SIGNATURE_BYTES = 4096;
+
+const TS_PACKET_SIZE = 188;
+
+// Declared and detected types in the same group are considered a match
+// (e.g. phones label QuickTime files as video/mp4 and vice versa)
+const COMPATIBLE_GROUPS = [
+  ["video/mp4", "video/quicktime"],
+  ["video/webm", "video/x-matroska"],
+  ["video/mpeg", "video/mp2t"],
+];
+
+// Top-level QuickTime atoms that may appear before (or instead of) ftyp
+const QUICKTIME_ATOMS = ["moov", "mdat", "wide", "free", "skip", "pnot"];
+
+/**
+ * Detect the video container of a file from its first bytes
+ * @param {Buffer} head - The first SIGNATURE_BYTES of the file (or fewer for small files)
+ * @returns {{ format: string, mimeType: string } | null} null if no known signature matches
+ */
+export function detectVideoFormat(head) {
+  if (head.length >= 12 && head.toString("latin1", 4, 8) === "ftyp") {
+    const brand = head.toString("latin1", 8, 12);
+    if (brand === "qt  ") {
+      return { format: "mov", mimeType: "video/quicktime" };
+    }
+    return { format: "mp4", mimeType: "video/mp4" };
+  }
+
+  if (head.length >= 8 && QUICKTIME_ATOMS.includes(head.toString("latin1", 4, 8))) {
+    return { format: "mov", mimeType: "video/quicktime" };
+  }
+
+  if (head.length >= 4 && head.readUInt32BE(0) === 0x1a45dfa3) {
+    // EBML header; the DocType element tells WebM and Matroska apart
+    const header = head.toString("latin1", 0, Math.min(head.length, 64));
+    if (header.includes("webm")) {
+      return { format: "webm", mimeType: "video/webm" };
+    }
+    if (header.includes("matroska")) {
+      return { format: "mkv", mimeType: "video/x-matroska" };
+    }
+    return null;
+  }
+
+  if (
+    head.length >= 12 &&
+    head.toString("latin1", 0, 4) === "RIFF" &&
+    head.toString("latin1", 8, 12) === "AVI "
+  ) {
+    return { format: "avi", mimeType: "video/x-msvideo" };
+  }
+
+  if (head.length >= 4 && head.readUInt32BE(0) === 0x000001ba) {
+    return { format: "mpeg-ps", mimeType: "video/mpeg" };
+  }
+
+  if (head.length >= 4 && head.readUInt32BE(0) === 0x000001b3) {
+    return { format: "mpeg-es", mimeType: "video/mpeg" };
+  }
+
+  if (isTransportStream(head)) {
+    return { format: "mpeg-ts", mimeType: "video/mp2t" };
+  }
+
+  return null;
+}
+
+// MPEG-TS: 0x47 sync byte at the start of every 188-byte packet
+function isTransportStream(head) {
+  const packets = Math.min(3, Math.floor(head.length / TS_PACKET_SIZE));
+  if (packets === 0) {
+    return false;
+  }
+  for (let i = 0; i < packets; i++) {
+    if (head[i * TS_PACKET_SIZE] !== 0x47) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Whether a client-declared MIME type is consistent with the detected one
+ */
+export function isCompatibleMimeType(declared, detected) {
+  if (declared === detected) {
+    return true;
+  }
+  return COMPATIBLE_GROUPS.some((group) => group.includes(declared) && group.includes(detected));
+}
+
+/**
+ * Read the first bytes of a local file
+ */
+export async function readFileHead(filePath, length = SIGNATURE_BYTES) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
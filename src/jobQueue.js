@@ -0,0 +1,473 @@
+import os from "os";
+import client from "prom-client";
+import { retryDelayMs } from "./events/dispatcher.js";
+import { parseCron, nextCronTime } from "./cron.js";
+
+/**
+ * Background job queue stored in PostgreSQL.
+ *
+ * A job is a row of the `BackgroundJob` table with a type and a JSON payload. Workers
+ * claim due jobs with `SELECT ... FOR UPDATE SKIP LOCKED`, so any number of
+ * worker processes (in the API server or `node src/worker.js`) can share the
+ * queue without taking the same job twice. A claimed job is held under a
+ * lease that the worker keeps extending while the handler runs; jobs of a
+ * worker that died are taken back once their lease has expired.
+ *
+ * Job types are registered with a handler and their limits: how many jobs of
+ * the type one worker runs at a time, the number of attempts and a timeout.
+ * A failed job is retried with exponential backoff; after its last attempt,
+ * or at once if the handler throws an error with `retryable: false`, it is
+ * dead-lettered (status `dead`) until an administrator retries or cancels it.
+ *
+ * Schedules enqueue a job on a cron expression or at a fixed interval. Every
+ * run gets a deduplication key, so with several workers each run is enqueued
+ * once; runs missed while no worker was up are not caught up.
+ */
+
+export const BACKGROUND_JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  DEAD: "dead",
+  CANCELLED: "cancelled",
+};
+
+// Jobs in these states can be retried, and in these cancelled
+export const RETRYABLE_JOB_STATUSES = [BACKGROUND_JOB_STATUS.DEAD, BACKGROUND_JOB_STATUS.CANCELLED];
+export const CANCELLABLE_JOB_STATUSES = [BACKGROUND_JOB_STATUS.QUEUED, BACKGROUND_JOB_STATUS.RUNNING];
+
+export const DEFAULT_JOB_OPTIONS = {
+  concurrency: 1,
+  maxAttempts: 5,
+  timeoutMs: 15 * 60 * 1000,
+};
+
+/**
+ * @typedef {object} JobDefinition
+ * @property {(payload: object, context: { job: object, signal: AbortSignal, logger: Console }) => Promise<unknown>} handler
+ *   Runs the job; its result (JSON) is stored on the job. It should stop when
+ *   `signal` aborts (timeout or cancellation).
+ * @property {(payload: object) => string | null} [validate] - Error message for an invalid payload
+ * @property {number} [concurrency] - Jobs of this type one worker runs at a time
+ * @property {number} [maxAttempts]
+ * @property {number} [timeoutMs]
+ */
+
+/**
+ * @typedef {object} JobSchedule
+ * @property {string} name - Unique; part of the deduplication key of each run
+ * @property {string} type - Job type to enqueue
+ * @property {object} [payload]
+ * @property {string} [cron] - Cron expression (UTC), see cron.js
+ * @property {number} [intervalMs] - Alternatively, a fixed interval
+ */
+
+/**
+ * Create the job queue
+ * @param {object} options
+ * @param {import("@prisma/client").PrismaClient} options.prisma
+ * @param {Record<string, JobDefinition>} options.definitions - By job type
+ * @param {Console} [options.logger]
+ */
+export function createJobQueue({ prisma, definitions, logger = console }) {
+  const definitionOf = (type) => {
+    const definition = definitions[type];
+    if (!definition) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+    return { ...DEFAULT_JOB_OPTIONS, ...definition };
+  };
+
+  /**
+   * Add a job to the queue
+   * @param {string} type
+   * @param {object} [payload]
+   * @param {object} [options]
+   * @param {Date} [options.runAt] - Not before this time (default: now)
+   * @param {number} [options.priority] - Higher runs first
+   * @param {number} [options.maxAttempts] - Default: the type's
+   * @param {string} [options.dedupeKey] - At most one job per key; a duplicate returns null
+   * @param {string | null} [options.createdBy] - User ID
+   * @param {import("@prisma/client").Prisma.TransactionClient} [options.tx] - Enqueue within a transaction
+   * @returns {Promise<object | null>} The job
+   */
+  async function enqueue(type, payload = {}, options = {}) {
+    const definition = definitionOf(type);
+    const invalid = definition.validate?.(payload);
+    if (invalid) {
+      throw new Error(`Invalid payload of ${type} job: ${invalid}`);
+    }
+    const db = options.tx ?? prisma;
+    const data = {
+      type,
+      payload,
+      priority: options.priority ?? 0,
+      max_attempts: options.maxAttempts ?? definition.maxAttempts,
+      run_at: options.runAt ?? new Date(),
+      dedupe_key: options.dedupeKey ?? null,
+      created_by: options.createdBy ?? null,
+    };
+    if (!data.dedupe_key) {
+      return db.backgroundJob.create({ data });
+    }
+    const { count } = await db.backgroundJob.createMany({ data: [data], skipDuplicates: true });
+    return count > 0 ? db.backgroundJob.findUnique({ where: { dedupe_key: data.dedupe_key } }) : null;
+  }
+
+  /**
+   * Queue a dead or cancelled job again, with a fresh retry budget
+   * @param {string} id
+   * @returns {Promise<object | null>} The job, null if it is not in a retryable state
+   */
+  async function retry(id) {
+    const { count } = await prisma.backgroundJob.updateMany({
+      where: { id, status: { in: RETRYABLE_JOB_STATUSES } },
+      data: { status: BACKGROUND_JOB_STATUS.QUEUED, attempts: 0, run_at: new Date(), finished_at: null },
+    });
+    return count > 0 ? prisma.backgroundJob.findUnique({ where: { id } }) : null;
+  }
+
+  /**
+   * Cancel a queued or running job. A running job's worker aborts its
+   * handler when it next extends the lease.
+   * @param {string} id
+   * @returns {Promise<object | null>} The job, null if it is not in a cancellable state
+   */
+  async function cancel(id) {
+    const { count } = await prisma.backgroundJob.updateMany({
+      where: { id, status: { in: CANCELLABLE_JOB_STATUSES } },
+      data: { status: BACKGROUND_JOB_STATUS.CANCELLED, finished_at: new Date(), locked_by: null, locked_until: null },
+    });
+    return count > 0 ? prisma.backgroundJob.findUnique({ where: { id } }) : null;
+  }
+
+  /**
+   * Start a worker that runs jobs of the registered types and enqueues the
+   * scheduled ones
+   * @param {object} [options]
+   * @param {JobSchedule[]} [options.schedules]
+   * @param {number} [options.concurrency] - Jobs of all types run at a time
+   * @param {number} [options.pollIntervalMs]
+   * @param {number} [options.leaseMs] - How long a claimed job is held without the lease being extended
+   * @param {string} [options.workerId]
+   * @param {ReturnType<typeof createJobMetrics>} [options.metrics]
+   * @returns {{ stop: (graceMs?: number) => Promise<void> }}
+   */
+  function startWorker({
+    schedules = [],
+    concurrency = 2,
+    pollIntervalMs = 2000,
+    leaseMs = 60 * 1000,
+    workerId = `${os.hostname()}:${process.pid}`,
+    metrics = null,
+  } = {}) {
+    const running = new Map(); // job ID -> { type, done }
+    let stopped = false;
+    let polling = false;
+    let pollAgain = false;
+    let timer;
+
+    const runningOfType = (type) => [...running.values()].filter((entry) => entry.type === type).length;
+
+    // Next run per schedule, from now on
+    const plans = schedules.map((schedule) => {
+      if (!definitions[schedule.type]) {
+        throw new Error(`Schedule ${schedule.name} has an unknown job type: ${schedule.type}`);
+      }
+      const cron = schedule.cron ? parseCron(schedule.cron) : null;
+      if (!cron && !(schedule.intervalMs > 0)) {
+        throw new Error(`Schedule ${schedule.name} needs a cron expression or an interval`);
+      }
+      const next = (after) =>
+        cron
+          ? nextCronTime(cron, after)
+          : new Date((Math.floor(after.getTime() / schedule.intervalMs) + 1) * schedule.intervalMs);
+      return { schedule, next, due: next(new Date()) };
+    });
+
+    async function enqueueScheduled() {
+      const now = new Date();
+      for (const plan of plans) {
+        if (plan.due > now) {
+          continue;
+        }
+        const { schedule } = plan;
+        const job = await enqueue(schedule.type, schedule.payload ?? {}, {
+          runAt: plan.due,
+          dedupeKey: `schedule:${schedule.name}:${plan.due.toISOString()}`,
+        });
+        if (job) {
+          logger.log(`[JOBS] Scheduled ${schedule.name} (${schedule.type}) for ${plan.due.toISOString()}`);
+        }
+        plan.due = plan.next(now);
+      }
+    }
+
+    // Jobs whose worker stopped extending the lease failed an attempt
+    async function recoverExpired() {
+      const expired = await prisma.backgroundJob.findMany({
+        where: { status: BACKGROUND_JOB_STATUS.RUNNING, locked_until: { lt: new Date() } },
+        take: 100,
+      });
+      for (const job of expired) {
+        await finish(job, new Error("The worker running the job stopped responding"), { owned: false });
+      }
+    }
+
+    // Claim up to `limit` due jobs of a type
+    function claim(type, limit) {
+      return prisma.$transaction(async (tx) => {
+        const rows = await tx.$queryRaw`
+          SELECT id FROM "BackgroundJob"
+          WHERE status = ${BACKGROUND_JOB_STATUS.QUEUED} AND type = ${type} AND run_at <= now()
+          ORDER BY priority DESC, run_at, created_at
+          LIMIT ${limit}
+          FOR UPDATE SKIP LOCKED`;
+        if (rows.length === 0) {
+          return [];
+        }
+        const ids = rows.map((row) => row.id);
+        await tx.backgroundJob.updateMany({
+          where: { id: { in: ids } },
+          data: {
+            status: BACKGROUND_JOB_STATUS.RUNNING,
+            attempts: { increment: 1 },
+            locked_by: workerId,
+            locked_until: new Date(Date.now() + leaseMs),
+            started_at: new Date(),
+          },
+        });
+        return tx.backgroundJob.findMany({ where: { id: { in: ids } } });
+      });
+    }
+
+    // Record the outcome of an attempt. Only the worker holding the job may
+    // finish it; a job cancelled meanwhile stays cancelled.
+    async function finish(job, error, { result = null, owned = true } = {}) {
+      const where = { id: job.id, status: BACKGROUND_JOB_STATUS.RUNNING, ...(owned ? { locked_by: workerId } : {}) };
+      const released = { locked_by: null, locked_until: null };
+      let status;
+      let data;
+      if (!error) {
+        status = BACKGROUND_JOB_STATUS.COMPLETED;
+        data = { status, result: result ?? undefined, last_error: null, finished_at: new Date() };
+      } else if (error.retryable !== false && job.attempts < job.max_attempts) {
+        status = BACKGROUND_JOB_STATUS.QUEUED;
+        data = { status, last_error: error.message, run_at: new Date(Date.now() + retryDelayMs(job.attempts)) };
+      } else {
+        status = BACKGROUND_JOB_STATUS.DEAD;
+        data = { status, last_error: error.message, finished_at: new Date() };
+      }
+      const { count } = await prisma.backgroundJob.updateMany({ where, data: { ...data, ...released } });
+      if (count === 0) {
+        // Cancelled meanwhile
+        metrics?.finished(job, BACKGROUND_JOB_STATUS.CANCELLED);
+        return;
+      }
+      metrics?.finished(job, status);
+      if (status === BACKGROUND_JOB_STATUS.QUEUED) {
+        logger.warn(`[JOBS] ${job.type} job ${job.id} failed (attempt ${job.attempts}), retrying: ${error.message}`);
+      } else if (status === BACKGROUND_JOB_STATUS.DEAD) {
+        logger.error(`[JOBS] ${job.type} job ${job.id} failed after ${job.attempts} attempts: ${error.message}`);
+      }
+    }
+
+    async function run(job) {
+      const definition = definitionOf(job.type);
+      const controller = new AbortController();
+      const timeout = setTimeout(
+        () => controller.abort(new Error(`Timed out after ${definition.timeoutMs / 1000} seconds`)),
+        definition.timeoutMs
+      );
+      // Extend the lease while the handler runs; a job that was cancelled
+      // meanwhile is no longer ours
+      const heartbeat = setInterval(async () => {
+        try {
+          const { count } = await prisma.backgroundJob.updateMany({
+            where: { id: job.id, status: BACKGROUND_JOB_STATUS.RUNNING, locked_by: workerId },
+            data: { locked_until: new Date(Date.now() + leaseMs) },
+          });
+          if (count === 0) {
+            controller.abort(new Error("The job was cancelled"));
+          }
+        } catch (error) {
+          logger.error(`[JOBS] Failed to extend the lease of job ${job.id}:`, error.message);
+        }
+      }, leaseMs / 3);
+      heartbeat.unref();
+
+      metrics?.started(job);
+      const aborted = new Promise((_, reject) => {
+        controller.signal.addEventListener("abort", () => reject(controller.signal.reason), { once: true });
+      });
+      try {
+        const result = await Promise.race([
+          definition.handler(job.payload, { job, signal: controller.signal, logger }),
+          aborted,
+        ]);
+        await finish(job, null, { result });
+      } catch (error) {
+        await finish(job, error);
+      } finally {
+        clearTimeout(timeout);
+        clearInterval(heartbeat);
+      }
+    }
+
+    // Poll again right away, e.g. when a job finished and more may be waiting
+    function wake() {
+      if (stopped) {
+        return;
+      }
+      if (polling) {
+        pollAgain = true;
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(poll, 0);
+      timer.unref();
+    }
+
+    async function poll() {
+      polling = true;
+      pollAgain = false;
+      try {
+        await recoverExpired();
+        await enqueueScheduled();
+        for (const type of Object.keys(definitions)) {
+          const free = Math.min(definitionOf(type).concurrency - runningOfType(type), concurrency - running.size);
+          if (stopped || free <= 0) {
+            continue;
+          }
+          for (const job of await claim(type, free)) {
+            const done = run(job)
+              .catch((error) => logger.error("[JOBS] Unexpected error:", error))
+              .finally(() => {
+                running.delete(job.id);
+                wake();
+              });
+            running.set(job.id, { type, done });
+          }
+        }
+      } catch (error) {
+        logger.error("[JOBS] Failed to poll the job queue:", error);
+      }
+      polling = false;
+      if (!stopped) {
+        clearTimeout(timer);
+        timer = setTimeout(poll, pollAgain ? 0 : pollIntervalMs);
+        timer.unref();
+      }
+    }
+
+    poll();
+
+    return {
+      /**
+       * Stop claiming jobs and wait up to `graceMs` for the running ones.
+       * Jobs still running then are put back in the queue without counting
+       * the attempt.
+       */
+      async stop(graceMs = 30000) {
+        stopped = true;
+        clearTimeout(timer);
+        const done = Promise.all([...running.values()].map((entry) => entry.done));
+        await Promise.race([done, new Promise((resolve) => setTimeout(resolve, graceMs).unref())]);
+        if (running.size > 0) {
+          await prisma.backgroundJob.updateMany({
+            where: { id: { in: [...running.keys()] }, status: BACKGROUND_JOB_STATUS.RUNNING, locked_by: workerId },
+            data: {
+              status: BACKGROUND_JOB_STATUS.QUEUED,
+              attempts: { decrement: 1 },
+              run_at: new Date(),
+              locked_by: null,
+              locked_until: null,
+            },
+          });
+        }
+      },
+    };
+  }
+
+  return { definitions, enqueue, retry, cancel, startWorker };
+}
+
+/**
+ * Prometheus metrics of the queue: depth and age of the oldest due job per
+ * type (read from the database on each scrape), and the wait and run time of
+ * the jobs this process runs
+ * @param {import("@prisma/client").PrismaClient} prisma
+ */
+export function createJobMetrics(prisma) {
+  new client.Gauge({
+    name: "svc_video_upload_jobs",
+    help: "Jobs in the queue by type and status (queued, running, dead)",
+    labelNames: ["type", "status"],
+    async collect() {
+      const groups = await prisma.backgroundJob
+        .groupBy({
+          by: ["type", "status"],
+          where: { status: { notIn: [BACKGROUND_JOB_STATUS.COMPLETED, BACKGROUND_JOB_STATUS.CANCELLED] } },
+          _count: { _all: true },
+        })
+        .catch((error) => console.error("Failed to collect job queue metrics:", error));
+      if (!groups) {
+        return;
+      }
+      this.reset();
+      for (const group of groups) {
+        this.set({ type: group.type, status: group.status }, group._count._all);
+      }
+    },
+  });
+
+  new client.Gauge({
+    name: "svc_video_upload_job_oldest_due_seconds",
+    help: "Age of the oldest queued job that is due, by type",
+    labelNames: ["type"],
+    async collect() {
+      const groups = await prisma.backgroundJob
+        .groupBy({
+          by: ["type"],
+          where: { status: BACKGROUND_JOB_STATUS.QUEUED, run_at: { lte: new Date() } },
+          _min: { run_at: true },
+        })
+        .catch((error) => console.error("Failed to collect job queue metrics:", error));
+      if (!groups) {
+        return;
+      }
+      this.reset();
+      for (const group of groups) {
+        this.set({ type: group.type }, (Date.now() - group._min.run_at.getTime()) / 1000);
+      }
+    },
+  });
+
+  const waitHistogram = new client.Histogram({
+    name: "svc_video_upload_job_wait_seconds",
+    help: "Time from when a job was due until a worker started it",
+    labelNames: ["type"],
+    buckets: [0.1, 0.5, 1, 5, 15, 60, 300, 900, 3600],
+  });
+  const durationHistogram = new client.Histogram({
+    name: "svc_video_upload_job_duration_seconds",
+    help: "Run time of job attempts by type and outcome (completed, queued for a retry, dead)",
+    labelNames: ["type", "status"],
+    buckets: [0.1, 0.5, 1, 5, 15, 60, 300, 900, 3600],
+  });
+
+  const startedAt = new Map();
+  return {
+    started(job) {
+      startedAt.set(job.id, Date.now());
+      waitHistogram.observe({ type: job.type }, Math.max(Date.now() - job.run_at.getTime(), 0) / 1000);
+    },
+    finished(job, status) {
+      const started = startedAt.get(job.id);
+      startedAt.delete(job.id);
+      if (started !== undefined) {
+        durationHistogram.observe({ type: job.type, status }, (Date.now() - started) / 1000);
+      }
+    },
+  };
+}
@@ -0,0 +1,123 @@
+import { createMaintenance } from "./maintenance.js";
+import { reconcileStorage } from "./reconciliation.js";
+import { BACKGROUND_JOB_STATUS } from "./jobQueue.js";
+import { BATCH_STATUS, createBatchRunner } from "./batches.js";
+import { JOB_RETENTION_DAYS, TRASH_RETENTION_DAYS, TRASH_PURGE_INTERVAL_MINUTES, RECONCILE_CRON } from "./config.js";
+
+/**
+ * The background job types of svc-video and their schedules. Used by the
+ * worker in the API server and by `npm run worker`.
+ */
+
+export const JOB_TYPES = {
+  PURGE_TRASH: "uploads.purge_trash",
+  EXPIRE_UPLOAD_SESSIONS: "upload_sessions.expire",
+  EXPIRE_DIRECT_UPLOADS: "direct_uploads.expire",
+  CLEAN_UP_WEBHOOK_DELIVERIES: "webhook_deliveries.clean_up",
+  CLEAN_UP_JOBS: "jobs.clean_up",
+  RECONCILE_STORAGE: "storage.reconcile",
+  RUN_BATCH: "batches.run",
+};
+
+// Processed transcription and encoding callbacks are remembered this long,
+// well beyond WEBHOOK_TOLERANCE_SECONDS, to reject replays
+const WEBHOOK_DELIVERY_RETENTION_HOURS = 72;
+
+/**
+ * Check the options of a reconciliation job
+ * @param {object} payload
+ * @returns {string | null} Error message
+ */
+export function validateReconcilePayload(payload) {
+  const { repair = false, quarantine = false, min_age_minutes = 60 } = payload;
+  if (typeof repair !== "boolean" || typeof quarantine !== "boolean") {
+    return "repair and quarantine must be booleans";
+  }
+  if (typeof min_age_minutes !== "number" || !Number.isFinite(min_age_minutes) || min_age_minutes < 0) {
+    return "min_age_minutes must be a non-negative number";
+  }
+  return null;
+}
+
+/**
+ * Job definitions and schedules for the job queue
+ * @param {object} options
+ * @param {import("@prisma/client").PrismaClient} options.prisma
+ * @param {import("./storage/index.js").StorageDriver} options.storage
+ * @param {Console} [options.logger]
+ * @returns {{ definitions: Record<string, import("./jobQueue.js").JobDefinition>,
+ *   schedules: import("./jobQueue.js").JobSchedule[] }}
+ */
+export function createJobDefinitions({ prisma, storage, logger = console }) {
+  const maintenance = createMaintenance({ prisma, storage, logger });
+  const batches = createBatchRunner({ prisma, logger });
+
+  const definitions = {
+    [JOB_TYPES.PURGE_TRASH]: {
+      handler: () => maintenance.purgeExpiredUploads(TRASH_RETENTION_DAYS),
+      timeoutMs: 60 * 60 * 1000,
+    },
+    [JOB_TYPES.EXPIRE_UPLOAD_SESSIONS]: {
+      handler: () => maintenance.abortExpiredSessions(),
+    },
+    [JOB_TYPES.EXPIRE_DIRECT_UPLOADS]: {
+      handler: () => maintenance.deleteExpiredDirectUploads(),
+    },
+    [JOB_TYPES.CLEAN_UP_WEBHOOK_DELIVERIES]: {
+      handler: () => maintenance.deleteOldWebhookDeliveries(WEBHOOK_DELIVERY_RETENTION_HOURS),
+    },
+    // Finished jobs and batches are kept for a while for the API; dead jobs
+    // stay until they are retried or cancelled
+    [JOB_TYPES.CLEAN_UP_JOBS]: {
+      handler: async () => {
+        const cutoff = new Date(Date.now() - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const { count } = await prisma.backgroundJob.deleteMany({
+          where: {
+            status: { in: [BACKGROUND_JOB_STATUS.COMPLETED, BACKGROUND_JOB_STATUS.CANCELLED] },
+            finished_at: { lt: cutoff },
+          },
+        });
+        const expired = await prisma.batch.findMany({
+          where: {
+            status: { in: [BATCH_STATUS.COMPLETED, BATCH_STATUS.FAILED, BATCH_STATUS.CANCELLED] },
+            finished_at: { lt: cutoff },
+          },
+          select: { id: true },
+        });
+        const batchIds = expired.map((batch) => batch.id);
+        await prisma.$transaction([
+          prisma.batchItem.deleteMany({ where: { batch_id: { in: batchIds } } }),
+          prisma.batch.deleteMany({ where: { id: { in: batchIds } } }),
+        ]);
+        return { deleted: count, deleted_batches: batchIds.length };
+      },
+    },
+    // The report is the job's result
+    [JOB_TYPES.RECONCILE_STORAGE]: {
+      validate: validateReconcilePayload,
+      handler: ({ repair = false, quarantine = false, min_age_minutes = 60 }) =>
+        reconcileStorage({ prisma, storage, repair, quarantine, minAgeMinutes: min_age_minutes, logger }),
+      maxAttempts: 1,
+      timeoutMs: 4 * 60 * 60 * 1000,
+    },
+    [JOB_TYPES.RUN_BATCH]: {
+      validate: (payload) => (typeof payload.batch_id === "string" ? null : "batch_id is required"),
+      handler: ({ batch_id }, context) => batches.runBatch(batch_id, context),
+      maxAttempts: 3,
+      timeoutMs: 2 * 60 * 60 * 1000,
+    },
+  };
+
+  const schedules = [
+    { name: "purge-trash", type: JOB_TYPES.PURGE_TRASH, intervalMs: TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000 },
+    { name: "expire-upload-sessions", type: JOB_TYPES.EXPIRE_UPLOAD_SESSIONS, cron: "@hourly" },
+    { name: "expire-direct-uploads", type: JOB_TYPES.EXPIRE_DIRECT_UPLOADS, cron: "*/5 * * * *" },
+    { name: "clean-up-webhook-deliveries", type: JOB_TYPES.CLEAN_UP_WEBHOOK_DELIVERIES, cron: "@hourly" },
+    { name: "clean-up-jobs", type: JOB_TYPES.CLEAN_UP_JOBS, cron: "@daily" },
+  ];
+  if (RECONCILE_CRON) {
+    schedules.push({ name: "reconcile-storage", type: JOB_TYPES.RECONCILE_STORAGE, cron: RECONCILE_CRON });
+  }
+
+  return { definitions, schedules };
+}
@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import { EVENT_TYPES, recordEvent } from "./events/index.js";
+
+/**
+ * Playlist and version bookkeeping shared by the API and maintenance jobs.
+ * All functions take a Prisma transaction client.
+ */
+
+/**
+ * Make `target` the current version of its part in place of `current`,
+ * taking over its playlist position and primary flag
+ */
+export async function promoteVersion(tx, current, target) {
+  if (current.is_current) {
+    await tx.videoUpload.updateMany({
+      where: { id: current.id },
+      data: { is_current: false, is_primary: false },
+    });
+  }
+  return tx.videoUpload.update({
+    where: { id: target.id },
+    data: { is_current: true, is_primary: current.is_primary, position: current.position },
+  });
+}
+
+/**
+ * Playlist placement of a new upload. It is appended to the lecture as a new
+ * part, or with `partId` becomes the next version of that part; the part's
+ * current version is then demoted to history and hands over its position and
+ * primary flag. A new version also keeps the title, description, language and
+ * tags of the part (not its chapters, which belong to the old timeline).
+ * @param {object} tx
+ * @param {string} lectureId
+ * @param {string | null} partId
+ * @returns {Promise<{ placement: object, current: object | null }>} Placement
+ *   fields for the new row and the replaced version
+ */
+export async function placeUpload(tx, lectureId, partId) {
+  const latest = partId
+    ? await tx.videoUpload.findFirst({ where: { part_id: partId }, orderBy: { version: "desc" } })
+    : null;
+  if (!latest) {
+    const last = await tx.videoUpload.findFirst({
+      where: { lecture_id: lectureId, is_current: true },
+      orderBy: { position: "desc" },
+    });
+    return {
+      placement: { part_id: crypto.randomUUID(), position: last ? last.position + 1 : 0, version: 1 },
+      current: null,
+    };
+  }
+
+  const current = await tx.videoUpload.findFirst({ where: { part_id: partId, is_current: true } });
+  // All versions of the part may be in the trash
+  const previous = current ?? latest;
+  if (current) {
+    await tx.videoUpload.update({
+      where: { id: current.id },
+      data: { is_current: false, is_primary: false },
+    });
+  }
+  return {
+    placement: {
+      part_id: partId,
+      position: latest.position,
+      version: latest.version + 1,
+      is_primary: current?.is_primary ?? false,
+      title: previous.title,
+      description: previous.description,
+      language: previous.language,
+      tags: previous.tags,
+    },
+    current,
+  };
+}
+
+/**
+ * Move an upload to the trash. Trashing the current version of a part brings
+ * back the previous one.
+ * @param {object} tx
+ * @param {object} upload
+ * @param {string | null} deletedBy - User ID, null for maintenance jobs
+ * @param {object} [eventData] - Additional data for the deleted event
+ * @returns {Promise<{ trashed: object, promoted: object | null }>}
+ */
+export async function trashUpload(tx, upload, deletedBy, eventData = {}) {
+  const trashed = await tx.videoUpload.update({
+    where: { id: upload.id },
+    data: { deleted_at: new Date(), deleted_by: deletedBy, is_current: false, is_primary: false },
+  });
+  let promoted = null;
+  if (upload.is_current) {
+    const previous = await tx.videoUpload.findFirst({
+      where: { part_id: upload.part_id, deleted_at: null },
+      orderBy: { version: "desc" },
+    });
+    if (previous) {
+      promoted = await promoteVersion(tx, upload, previous);
+    }
+  }
+  await recordEvent(tx, EVENT_TYPES.UPLOAD_DELETED, trashed, {
+    deleted_by: deletedBy,
+    promoted_upload_id: promoted?.id ?? null,
+    ...eventData,
+  });
+  return { trashed, promoted };
+}
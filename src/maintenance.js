@@ -0,0 +1,149 @@
+import { EVENT_TYPES, recordEvent } from "./events/index.js";
+import { SESSION_STATUS } from "./uploadSessions.js";
+import { UPLOAD_STATUS } from "./directUploads.js";
+
+/**
+ * Deleting uploads and cleaning up what was left behind, shared by the API
+ * server and the background jobs (see jobs.js), which may run in a separate
+ * worker process.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * @param {object} options
+ * @param {import("@prisma/client").PrismaClient} options.prisma
+ * @param {import("./storage/index.js").StorageDriver} options.storage
+ * @param {Console} [options.logger]
+ */
+export function createMaintenance({ prisma, storage, logger = console }) {
+  // Permanently delete an upload: the video and everything derived from it
+  // (HLS renditions, thumbnails, caption tracks, transcription output) from
+  // storage, then its rows (with its chapters and watch progress)
+  async function purgeUpload(upload, purgedBy = null) {
+    // Deduplicated uploads share the blob and the files derived from it; those
+    // are deleted with the last upload using them
+    const shared = await prisma.videoUpload.count({
+      where: { blob_name: upload.blob_name, blob_container: upload.blob_container, id: { not: upload.id } },
+    });
+    if (shared === 0) {
+      await storage.delete(upload.blob_name);
+      await storage.deletePrefix(`${upload.blob_name.replace(/\.[^.]+$/, "")}/`);
+      for (const blobName of [upload.transcript_json_blob, upload.transcript_vtt_blob]) {
+        if (blobName) {
+          await storage.delete(blobName);
+        }
+      }
+    } else {
+      // Only the upload's own caption files and transcription outputs
+      const tracks = await prisma.captionTrack.findMany({ where: { upload_id: upload.id } });
+      for (const track of tracks) {
+        if (track.blob_name !== upload.transcript_vtt_blob) {
+          await storage.delete(track.blob_name);
+        }
+      }
+      // (outputs of jobs from before per-job files sit next to the shared video)
+      const jobs = await prisma.transcriptionJob.findMany({ where: { upload_id: upload.id } });
+      for (const job of jobs) {
+        if (job.transcript_json_blob.startsWith(`${upload.blob_name.replace(/\.[^.]+$/, "")}/`)) {
+          await storage.delete(job.transcript_json_blob);
+          await storage.delete(job.transcript_vtt_blob);
+        }
+      }
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.transcriptSegment.deleteMany({ where: { upload_id: upload.id } });
+      await tx.captionTrack.deleteMany({ where: { upload_id: upload.id } });
+      await tx.watchProgress.deleteMany({ where: { upload_id: upload.id } });
+      await tx.chapter.deleteMany({ where: { upload_id: upload.id } });
+      await tx.transcriptionJob.deleteMany({ where: { upload_id: upload.id } });
+      await tx.videoUpload.delete({ where: { id: upload.id } });
+      await recordEvent(tx, EVENT_TYPES.UPLOAD_PURGED, upload, { purged_by: purgedBy });
+    });
+  }
+
+  // Abort a session and discard whatever was uploaded so far
+  async function abortUploadSession(session) {
+    await storage.abortMultipart(session.blob_name, { uploadId: session.multipart_upload_id });
+    await prisma.uploadSession.update({
+      where: { id: session.id },
+      data: { status: SESSION_STATUS.ABORTED },
+    });
+  }
+
+  // Delete a pending direct upload and whatever was written to its blob
+  async function discardDirectUpload(upload) {
+    await storage.delete(upload.blob_name);
+    await prisma.videoUpload.deleteMany({ where: { id: upload.id, upload_status: UPLOAD_STATUS.PENDING } });
+  }
+
+  // Purge uploads that have been in the trash longer than the retention period
+  async function purgeExpiredUploads(retentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * HOUR_MS);
+    const expired = await prisma.videoUpload.findMany({
+      where: { deleted_at: { lt: cutoff }, legal_hold: false },
+      orderBy: { deleted_at: "asc" },
+      take: 100,
+    });
+    let purged = 0;
+    for (const upload of expired) {
+      try {
+        await purgeUpload(upload);
+        purged++;
+      } catch (error) {
+        logger.error(`Failed to purge upload ${upload.id}:`, error);
+      }
+    }
+    if (purged > 0) {
+      logger.log(`Purged ${purged} deleted uploads`);
+    }
+    return { purged, failed: expired.length - purged };
+  }
+
+  // Abort sessions that were never finalized
+  async function abortExpiredSessions() {
+    const expired = await prisma.uploadSession.findMany({
+      where: { status: SESSION_STATUS.ACTIVE, expires_at: { lt: new Date() } },
+    });
+    for (const session of expired) {
+      await abortUploadSession(session);
+    }
+    return { aborted: expired.length };
+  }
+
+  // Delete pending direct uploads that were never completed, and imports that
+  // failed or waited too long in the queue
+  async function deleteExpiredDirectUploads() {
+    const expired = await prisma.videoUpload.findMany({
+      where: { upload_status: UPLOAD_STATUS.PENDING, upload_expires_at: { lt: new Date() } },
+      take: 100,
+    });
+    for (const upload of expired) {
+      await discardDirectUpload(upload);
+    }
+    if (expired.length > 0) {
+      logger.log(`Deleted ${expired.length} expired direct uploads`);
+    }
+    return { deleted: expired.length };
+  }
+
+  // Forget old webhook deliveries; they are outside the timestamp window and
+  // can no longer be replayed
+  async function deleteOldWebhookDeliveries(retentionHours) {
+    const { count } = await prisma.webhookDelivery.deleteMany({
+      where: { created_at: { lt: new Date(Date.now() - retentionHours * HOUR_MS) } },
+    });
+    return { deleted: count };
+  }
+
+  return {
+    purgeUpload,
+    abortUploadSession,
+    discardDirectUpload,
+    purgeExpiredUploads,
+    abortExpiredSessions,
+    deleteExpiredDirectUploads,
+    deleteOldWebhookDeliveries,
+  };
+}
@@ -0,0 +1,136 @@
+import { execFile } from "child_process";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Media probing with ffprobe
+ */
+
+// VideoUpload columns filled in from the probe
+export const PROBE_FIELDS = [
+  "container_format",
+  "duration",
+  "width",
+  "height",
+  "resolution",
+  "frame_rate",
+  "video_codec",
+  "audio_codec",
+  "audio_channels",
+  "audio_channel_layout",
+  "bitrate",
+];
+
+/**
+ * Parse an ffprobe rational such as "30000/1001" into a number
+ */
+function parseRational(value) {
+  if (!value) {
+    return null;
+  }
+  const [num, den] = value.split("/").map(Number);
+  if (!den) {
+    return Number.isFinite(num) && num > 0 ? num : null;
+  }
+  return num > 0 ? Math.round((num / den) * 1000) / 1000 : null;
+}
+
+function toInt(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.round(number) : null;
+}
+
+/**
+ * Map ffprobe JSON output to the VideoUpload metadata columns
+ * @param {object} probe - Output of `ffprobe -show_format -show_streams -print_format json`
+ * @throws {Error} If the file has no video stream
+ */
+export function parseProbeOutput(probe) {
+  const streams = probe.streams || [];
+  const format = probe.format || {};
+  const video = streams.find((s) => s.codec_type === "video" && !s.disposition?.attached_pic);
+  const audio = streams.find((s) => s.codec_type === "audio");
+
+  if (!video) {
+    throw new Error("No video stream found");
+  }
+
+  const duration = Number(format.duration ?? video.duration);
+
+  return {
+    container_format: format.format_name || null,
+    duration: Number.isFinite(duration) ? Math.round(duration) : null,
+    width: video.width ?? null,
+    height: video.height ?? null,
+    resolution: video.width && video.height ? `${video.width}x${video.height}` : null,
+    frame_rate: parseRational(video.avg_frame_rate) ?? parseRational(video.r_frame_rate),
+    video_codec: video.codec_name || null,
+    audio_codec: audio?.codec_name || null,
+    audio_channels: audio?.channels ?? null,
+    audio_channel_layout: audio?.channel_layout || null,
+    bitrate: toInt(format.bit_rate),
+  };
+}
+
+/**
+ * Run ffprobe over a file (or URL) and return its technical metadata
+ * @param {string} input - File path or URL readable by ffprobe
+ * @param {object} [options]
+ * @param {string} [options.ffprobePath]
+ * @param {number} [options.timeoutMs]
+ * @throws {Error} If ffprobe cannot parse the container or finds no video stream
+ */
+export async function probeMedia(input, { ffprobePath = "ffprobe", timeoutMs = 60000 } = {}) {
+  let stdout;
+  try {
+    ({ stdout } = await execFileAsync(
+      ffprobePath,
+      ["-v", "error", "-print_format", "json", "-show_format", "-show_streams", input],
+      { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 }
+    ));
+  } catch (error) {
+    const reason = error.stderr?.toString().trim() || error.message;
+    throw new Error(`Unrecognized media container: ${reason}`);
+  }
+  return parseProbeOutput(JSON.parse(stdout));
+}
+
+// How far before a position keyframes are looked for
+const KEYFRAME_LOOKBACK_SECONDS = 30;
+
+/**
+ * Position of the last video keyframe at or before `time`, from the packet
+ * index (no decoding). Null if there is none within the lookback window.
+ * @param {string} input - File path or URL readable by ffprobe
+ * @param {number} time - Seconds
+ * @param {object} [options]
+ * @param {string} [options.ffprobePath]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<number | null>}
+ */
+export async function findKeyframeBefore(input, time, { ffprobePath = "ffprobe", timeoutMs = 60000 } = {}) {
+  const from = Math.max(0, time - KEYFRAME_LOOKBACK_SECONDS);
+  const { stdout } = await execFileAsync(
+    ffprobePath,
+    [
+      "-v", "error",
+      "-select_streams", "v:0",
+      "-show_entries", "packet=pts_time,flags",
+      "-read_intervals", `${from.toFixed(3)}%${(time + 1).toFixed(3)}`,
+      "-of", "csv=p=0",
+      input,
+    ],
+    { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 }
+  );
+
+  let keyframe = null;
+  for (const line of stdout.split("\n")) {
+    const [ptsTime, flags] = line.trim().split(",");
+    const position = Number(ptsTime);
+    if (flags?.startsWith("K") && Number.isFinite(position) && position <= time && position > (keyframe ?? -1)) {
+      keyframe = position;
+    }
+  }
+  return keyframe;
+}
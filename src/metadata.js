@@ -0,0 +1,191 @@
+import { LANGUAGE_PATTERN } from "./captions.js";
+import { formatVttTimestamp } from "./thumbnails.js";
+
+/**
+ * Descriptive metadata of uploads: title, description, spoken language, tags
+ * and chapters.
+ *
+ * Tags are stored trimmed and in lower case, so `Exam` and `exam` are the same
+ * tag. A chapter is `{ start, label }` with `start` in seconds on the played
+ * (trimmed) timeline; it lasts until the next chapter starts or the video ends.
+ */
+
+export const MAX_TITLE_LENGTH = 200;
+export const MAX_DESCRIPTION_LENGTH = 5000;
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 50;
+export const MAX_CHAPTERS = 200;
+export const MAX_CHAPTER_LABEL_LENGTH = 200;
+
+// Fields that can be changed with PATCH /api/uploads/:id
+export const METADATA_FIELDS = ["title", "description", "language", "tags"];
+
+// Letters and digits, with spaces, dots, hyphens and underscores inside
+const TAG_PATTERN = /^[\p{L}\p{N}](?:[\p{L}\p{N} ._-]*[\p{L}\p{N}])?$/u;
+
+/**
+ * Normalize a tag
+ * @param {unknown} tag
+ * @returns {string | null} null if it is not a valid tag
+ */
+export function normalizeTag(tag) {
+  if (typeof tag !== "string") {
+    return null;
+  }
+  const normalized = tag.trim().replace(/\s+/g, " ").toLowerCase();
+  return normalized.length <= MAX_TAG_LENGTH && TAG_PATTERN.test(normalized) ? normalized : null;
+}
+
+// A text field that may be cleared with null or ""
+function optionalText(value, name, maxLength) {
+  if (value === null || value === "") {
+    return { value: null };
+  }
+  if (typeof value !== "string" || value.trim() === "") {
+    return { error: `${name} must be a string or null` };
+  }
+  if (value.length > maxLength) {
+    return { error: `${name} must be at most ${maxLength} characters` };
+  }
+  return { value: value.trim() };
+}
+
+/**
+ * Validate the body of `PATCH /api/uploads/:id`. Absent fields stay as they
+ * are; null clears `title`, `description` and `language`, `[]` the tags.
+ * @param {object} body
+ * @returns {{ error: string } | { data: object }}
+ */
+export function parseMetadataUpdate(body) {
+  const fields = Object.keys(body || {});
+  const unknown = fields.filter((field) => !METADATA_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown fields: ${unknown.join(", ")} (allowed: ${METADATA_FIELDS.join(", ")})` };
+  }
+  if (fields.length === 0) {
+    return { error: `Nothing to update; send any of: ${METADATA_FIELDS.join(", ")}` };
+  }
+
+  const data = {};
+  for (const [field, maxLength] of [
+    ["title", MAX_TITLE_LENGTH],
+    ["description", MAX_DESCRIPTION_LENGTH],
+  ]) {
+    if (body[field] !== undefined) {
+      const text = optionalText(body[field], field, maxLength);
+      if (text.error) {
+        return text;
+      }
+      data[field] = text.value;
+    }
+  }
+
+  if (body.language !== undefined) {
+    if (body.language !== null && (typeof body.language !== "string" || !LANGUAGE_PATTERN.test(body.language))) {
+      return { error: 'language must be a language tag such as "sl" or "en-GB", or null' };
+    }
+    data.language = body.language;
+  }
+
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags)) {
+      return { error: "tags must be an array of strings" };
+    }
+    const tags = body.tags.map(normalizeTag);
+    if (tags.includes(null)) {
+      return { error: `tags must be words of letters and digits, at most ${MAX_TAG_LENGTH} characters each` };
+    }
+    data.tags = [...new Set(tags)];
+    if (data.tags.length > MAX_TAGS) {
+      return { error: `An upload can have at most ${MAX_TAGS} tags` };
+    }
+  }
+
+  return { data };
+}
+
+/**
+ * Validate a chapter
+ * @param {object} body - `{ start, label }`
+ * @param {{ partial?: boolean, duration?: number | null }} [options] -
+ *   `partial`: fields may be absent (updates); `duration`: played duration of
+ *   the video, if known, which chapters must start before
+ * @returns {{ error: string } | { data: { start?: number, label?: string } }}
+ */
+export function parseChapter(body, { partial = false, duration = null } = {}) {
+  const { start, label } = body || {};
+  const data = {};
+
+  if (start !== undefined || !partial) {
+    if (typeof start !== "number" || !Number.isFinite(start) || start < 0) {
+      return { error: "start must be a non-negative number of seconds" };
+    }
+    if (duration !== null && start >= duration) {
+      return { error: `start must be before the end of the video (${duration} s)` };
+    }
+    // Millisecond precision, like WebVTT timestamps
+    data.start = Math.round(start * 1000) / 1000;
+  }
+
+  if (label !== undefined || !partial) {
+    if (typeof label !== "string" || label.trim() === "") {
+      return { error: "label must be a non-empty string" };
+    }
+    if (label.length > MAX_CHAPTER_LABEL_LENGTH) {
+      return { error: `label must be at most ${MAX_CHAPTER_LABEL_LENGTH} characters` };
+    }
+    // A line break would end the cue in the WebVTT track
+    data.label = label.trim().replace(/\s*[\r\n]+\s*/g, " ");
+  }
+
+  if (partial && Object.keys(data).length === 0) {
+    return { error: "Nothing to update; send start and/or label" };
+  }
+  return { data };
+}
+
+/**
+ * Validate a complete chapter list, which replaces the existing chapters
+ * @param {unknown} chapters
+ * @param {{ duration?: number | null }} [options]
+ * @returns {{ error: string } | { data: { start: number, label: string }[] }} sorted by start
+ */
+export function parseChapterList(chapters, { duration = null } = {}) {
+  if (!Array.isArray(chapters)) {
+    return { error: "chapters must be an array of { start, label }" };
+  }
+  if (chapters.length > MAX_CHAPTERS) {
+    return { error: `An upload can have at most ${MAX_CHAPTERS} chapters` };
+  }
+  const data = [];
+  for (const [index, chapter] of chapters.entries()) {
+    const parsed = parseChapter(chapter, { duration });
+    if (parsed.error) {
+      return { error: `chapters[${index}]: ${parsed.error}` };
+    }
+    data.push(parsed.data);
+  }
+  data.sort((a, b) => a.start - b.start);
+  if (data.some((chapter, i) => i > 0 && chapter.start === data[i - 1].start)) {
+    return { error: "Two chapters cannot start at the same time" };
+  }
+  return { data };
+}
+
+/**
+ * Format chapters as a WebVTT chapters track (`<track kind="chapters">`).
+ * Chapters that start after the end of the video (e.g. after a trim) are left
+ * out.
+ * @param {{ start: number, label: string }[]} chapters - Sorted by start
+ * @param {number} duration - Played duration; the last chapter ends there
+ * @returns {string}
+ */
+export function formatChaptersVtt(chapters, duration) {
+  const lines = ["WEBVTT", ""];
+  const shown = chapters.filter((chapter) => chapter.start < duration);
+  shown.forEach((chapter, i) => {
+    const end = i + 1 < shown.length ? shown[i + 1].start : duration;
+    lines.push(`${i + 1}`, `${formatVttTimestamp(chapter.start)} --> ${formatVttTimestamp(end)}`, chapter.label, "");
+  });
+  return lines.join("\n");
+}
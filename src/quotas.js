@@ -0,0 +1,156 @@
+import { SESSION_STATUS } from "./uploadSessions.js";
+
+/**
+ * Storage quotas per user, lecture and course.
+ *
+ * Usage is computed from aggregates over `VideoUpload.file_size`. Uploads in
+ * the trash still count until they are purged, and active resumable upload
+ * sessions reserve their declared size so parallel uploads cannot overshoot a
+ * quota. Derived files (HLS renditions, thumbnails, transcripts) are not
+ * counted.
+ */
+
+export const QUOTA_SCOPES = {
+  USER: "user",
+  LECTURE: "lecture",
+  COURSE: "course",
+};
+
+// Column holding the owner of an upload (and upload session) per scope
+const SCOPE_COLUMNS = {
+  [QUOTA_SCOPES.USER]: "user_id",
+  [QUOTA_SCOPES.LECTURE]: "lecture_id",
+  [QUOTA_SCOPES.COURSE]: "course_id",
+};
+
+// Owner IDs of a new file per scope
+const quotaOwners = ({ userId, lectureId, courseId }) => ({
+  [QUOTA_SCOPES.USER]: userId,
+  [QUOTA_SCOPES.LECTURE]: lectureId,
+  [QUOTA_SCOPES.COURSE]: courseId,
+});
+
+/**
+ * Current consumption of a user, lecture or course
+ * @param {import("@prisma/client").PrismaClient} prisma
+ * @param {string} scope - One of QUOTA_SCOPES
+ * @param {string} id
+ * @returns {Promise<{ files: number, bytes: number, trashed_files: number,
+ *   trashed_bytes: number, reserved_files: number, reserved_bytes: number }>}
+ */
+export async function getUsage(prisma, scope, id) {
+  const column = SCOPE_COLUMNS[scope];
+  const [all, trashed, reserved] = await prisma.$transaction([
+    prisma.videoUpload.aggregate({
+      where: { [column]: id },
+      _count: { _all: true },
+      _sum: { file_size: true },
+    }),
+    prisma.videoUpload.aggregate({
+      where: { [column]: id, deleted_at: { not: null } },
+      _count: { _all: true },
+      _sum: { file_size: true },
+    }),
+    prisma.uploadSession.aggregate({
+      where: { [column]: id, status: SESSION_STATUS.ACTIVE, expires_at: { gt: new Date() } },
+      _count: { _all: true },
+      _sum: { upload_length: true },
+    }),
+  ]);
+  return {
+    files: all._count._all,
+    bytes: Number(all._sum.file_size ?? 0),
+    trashed_files: trashed._count._all,
+    trashed_bytes: Number(trashed._sum.file_size ?? 0),
+    reserved_files: reserved._count._all,
+    reserved_bytes: Number(reserved._sum.upload_length ?? 0),
+  };
+}
+
+/**
+ * Limits and headroom of a scope given its usage; null fields are unlimited
+ * @param {object} usage - From getUsage
+ * @param {{ bytes: number | null, files: number | null }} limit
+ */
+export function quotaStatus(usage, limit) {
+  const usedBytes = usage.bytes + usage.reserved_bytes;
+  const usedFiles = usage.files + usage.reserved_files;
+  return {
+    limit_bytes: limit.bytes,
+    limit_files: limit.files,
+    remaining_bytes: limit.bytes === null ? null : Math.max(limit.bytes - usedBytes, 0),
+    remaining_files: limit.files === null ? null : Math.max(limit.files - usedFiles, 0),
+  };
+}
+
+/**
+ * Find the first quota a new file of `size` bytes would exceed
+ * @param {import("@prisma/client").PrismaClient} prisma
+ * @param {Record<string, { bytes: number | null, files: number | null }>} limits - Per scope
+ * @param {{ userId?: string | null, lectureId?: string | null, courseId?: string | null, size: number }} upload
+ * @returns {Promise<object | null>} The exceeded quota with its usage, or null
+ */
+export async function findExceededQuota(prisma, limits, { userId, lectureId, courseId, size }) {
+  for (const [scope, id] of Object.entries(quotaOwners({ userId, lectureId, courseId }))) {
+    const limit = limits[scope];
+    if (!id || (limit.bytes === null && limit.files === null)) {
+      continue;
+    }
+    const usage = await getUsage(prisma, scope, id);
+    const status = quotaStatus(usage, limit);
+    const tooLarge = status.remaining_bytes !== null && size > status.remaining_bytes;
+    const tooMany = status.remaining_files !== null && status.remaining_files < 1;
+    if (tooLarge || tooMany) {
+      return { scope, id, ...usage, ...status, requested_bytes: size };
+    }
+  }
+  return null;
+}
+
+/**
+ * The smallest byte headroom among the quotas of a user, lecture and course,
+ * for a file whose size is not known in advance
+ * @param {import("@prisma/client").PrismaClient} prisma
+ * @param {Record<string, { bytes: number | null, files: number | null }>} limits - Per scope
+ * @param {{ userId?: string | null, lectureId?: string | null, courseId?: string | null }} owners
+ * @returns {Promise<{ scope: string, id: string, remaining_bytes: number } | null>} null if no byte quota applies
+ */
+export async function findByteHeadroom(prisma, limits, owners) {
+  let tightest = null;
+  for (const [scope, id] of Object.entries(quotaOwners(owners))) {
+    const limit = limits[scope];
+    if (!id || limit.bytes === null) {
+      continue;
+    }
+    const { remaining_bytes: remaining } = quotaStatus(await getUsage(prisma, scope, id), limit);
+    if (tightest === null || remaining < tightest.remaining_bytes) {
+      tightest = { scope, id, remaining_bytes: remaining };
+    }
+  }
+  return tightest;
+}
+
+/**
+ * Largest consumers of a scope, by bytes
+ * @param {import("@prisma/client").PrismaClient} prisma
+ * @param {string} scope - One of QUOTA_SCOPES
+ * @param {number} limit
+ * @returns {Promise<{ id: string, files: number, bytes: number }[]>}
+ */
+export async function getTopUsage(prisma, scope, limit) {
+  const column = SCOPE_COLUMNS[scope];
+  const groups = await prisma.videoUpload.groupBy({
+    by: [column],
+    // lecture_id is never null
+    where: scope === QUOTA_SCOPES.LECTURE ? {} : { [column]: { not: null } },
+    _count: { _all: true },
+    _sum: { file_size: true },
+    orderBy: { _sum: { file_size: "desc" } },
+    take: limit,
+  });
+  return groups.map((group) => ({
+    id: group[column],
+    files: group._count._all,
+    bytes: Number(group._sum.file_size ?? 0),
+  }));
+}
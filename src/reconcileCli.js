@@ -0,0 +1,47 @@
+import { parseArgs } from "util";
+import { PrismaClient } from "@prisma/client";
+import { createConfiguredStorage } from "./config.js";
+import { reconcileStorage } from "./reconciliation.js";
+
+/**
+ * Reconcile the database with storage from the command line:
+ *
+ *   npm run reconcile -- [--repair] [--quarantine] [--min-age-minutes 60]
+ *
+ * Uses the same environment as the service. Prints the JSON report and exits
+ * with 0 if nothing was found, 1 if there were issues and 2 on errors.
+ */
+
+const { values } = parseArgs({
+  options: {
+    repair: { type: "boolean", default: false },
+    quarantine: { type: "boolean", default: false },
+    "min-age-minutes": { type: "string", default: "60" },
+  },
+});
+
+const minAgeMinutes = Number(values["min-age-minutes"]);
+if (!Number.isFinite(minAgeMinutes) || minAgeMinutes < 0) {
+  console.error("--min-age-minutes must be a non-negative number");
+  process.exit(2);
+}
+
+const prisma = new PrismaClient();
+
+try {
+  const report = await reconcileStorage({
+    prisma,
+    storage: createConfiguredStorage(),
+    repair: values.repair,
+    quarantine: values.quarantine,
+    minAgeMinutes,
+    logger: console,
+  });
+  console.log(JSON.stringify(report, null, 2));
+  process.exitCode = report.errors.length > 0 ? 2 : report.issues.length > 0 ? 1 : 0;
+} catch (error) {
+  console.error("[RECONCILE] Reconciliation failed:", error);
+  process.exitCode = 2;
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,344 @@
+import { hlsPrefix } from "./encodingWorker.js";
+import { THUMBNAILS_VTT_FILE, thumbnailPrefix } from "./thumbnails.js";
+import { SESSION_STATUS } from "./uploadSessions.js";
+import { JOB_STATUS } from "./webhooks.js";
+import { trashUpload } from "./lectureParts.js";
+import { UPLOAD_STATUS } from "./directUploads.js";
+import { awaitingClipFile } from "./clips.js";
+
+/**
+ * Consistency check between the database and storage.
+ *
+ * Walks every blob of the container and every upload (including uploads in
+ * the trash) and reports:
+ * - `orphaned_blob`   a blob no upload, caption track or upload session refers
+ *                     to, e.g. left behind when the database insert after an
+ *                     upload failed, or transcription output that was never
+ *                     recorded
+ * - `missing_blob`    a file an upload or caption track refers to that is not
+ *                     in storage
+ * - `size_mismatch`   a video whose size differs from the recorded file_size
+ *
+ * With `repair`, rows are fixed: uploads without a video are moved to the
+ * trash, missing transcripts and thumbnails are forgotten, missing HLS output
+ * is queued for encoding again, caption tracks without a file are deleted and
+ * file_size is corrected. With `quarantine`, orphaned blobs are moved below
+ * `quarantine/<timestamp>/` instead of being deleted, for manual review.
+ */
+
+export const QUARANTINE_PREFIX = "quarantine/";
+
+export const ISSUE_TYPES = {
+  ORPHANED_BLOB: "orphaned_blob",
+  MISSING_BLOB: "missing_blob",
+  SIZE_MISMATCH: "size_mismatch",
+};
+
+const PAGE_SIZE = 1000;
+
+// Read all rows of a model in pages ordered by ID
+async function* readAll(model, select) {
+  let cursor;
+  for (;;) {
+    const rows = await model.findMany({
+      select,
+      orderBy: { id: "asc" },
+      take: PAGE_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    yield* rows;
+    if (rows.length < PAGE_SIZE) {
+      return;
+    }
+    cursor = rows[rows.length - 1].id;
+  }
+}
+
+const baseName = (blobName) => blobName.replace(/\.[^.]+$/, "");
+
+/**
+ * Run a reconciliation pass
+ * @param {object} options
+ * @param {import("@prisma/client").PrismaClient} options.prisma
+ * @param {import("./storage/index.js").StorageDriver} options.storage
+ * @param {boolean} [options.repair] - Fix database rows
+ * @param {boolean} [options.quarantine] - Move orphaned blobs to the quarantine prefix
+ * @param {number} [options.minAgeMinutes] - Blobs younger than this are never
+ *   orphans (uploads write the blob before the row)
+ * @param {Console} [options.logger]
+ * @returns {Promise<object>} JSON report
+ */
+export async function reconcileStorage({
+  prisma,
+  storage,
+  repair = false,
+  quarantine = false,
+  minAgeMinutes = 60,
+  logger = console,
+}) {
+  const startedAt = new Date();
+  const issues = [];
+  const errors = [];
+  const summary = {
+    uploads_checked: 0,
+    caption_tracks_checked: 0,
+    blobs_checked: 0,
+    orphaned_blobs: 0,
+    missing_blobs: 0,
+    size_mismatches: 0,
+    repaired: 0,
+    quarantined: 0,
+  };
+
+  // Every file the database knows about: blob name -> reference
+  const references = new Map();
+  // Uploads by base name, for derived files (<baseName>/hls/..., thumbnails, captions)
+  const uploadsByBase = new Map();
+  const uploads = [];
+
+  for await (const upload of readAll(prisma.videoUpload, {
+    id: true,
+    lecture_id: true,
+    part_id: true,
+    is_current: true,
+    is_primary: true,
+    blob_name: true,
+    file_size: true,
+    encoding_status: true,
+    hls_url: true,
+    thumbnail_count: true,
+    transcription_status: true,
+    transcript_json_blob: true,
+    transcript_vtt_blob: true,
+    deleted_at: true,
+    upload_status: true,
+    source_upload_id: true,
+  })) {
+    uploads.push(upload);
+    uploadsByBase.set(baseName(upload.blob_name), upload);
+    // Deduplicated uploads share a blob
+    const sharing = references.get(upload.blob_name);
+    if (sharing?.field === "blob_name") {
+      sharing.uploads.push(upload);
+    } else {
+      references.set(upload.blob_name, { upload, uploads: [upload], field: "blob_name" });
+    }
+    for (const field of ["transcript_json_blob", "transcript_vtt_blob"]) {
+      if (upload[field]) {
+        references.set(upload[field], { upload, field });
+      }
+    }
+    // HLS output is only checked when it was stored by the encoding worker
+    const playlist = `${hlsPrefix(upload.blob_name)}/master.m3u8`;
+    if (upload.hls_url && upload.hls_url === storage.url(playlist)) {
+      references.set(playlist, { upload, field: "hls_url" });
+    }
+    if (upload.thumbnail_count) {
+      references.set(`${thumbnailPrefix(upload.blob_name)}/${THUMBNAILS_VTT_FILE}`, {
+        upload,
+        field: "thumbnail_count",
+      });
+    }
+  }
+  summary.uploads_checked = uploads.length;
+
+  const tracks = [];
+  for await (const track of readAll(prisma.captionTrack, { id: true, upload_id: true, blob_name: true })) {
+    tracks.push(track);
+    // Automatic tracks share the transcript VTT file of their upload
+    if (!references.has(track.blob_name)) {
+      references.set(track.blob_name, { track, field: "caption_track" });
+    }
+  }
+  summary.caption_tracks_checked = tracks.length;
+
+  // Files of uploads still in progress
+  const sessions = await prisma.uploadSession.findMany({
+    where: { status: SESSION_STATUS.ACTIVE },
+    select: { blob_name: true },
+  });
+  const sessionBlobs = new Set(sessions.map((session) => session.blob_name));
+
+  const seen = new Set();
+  const orphans = [];
+  const cutoff = Date.now() - minAgeMinutes * 60 * 1000;
+
+  for await (const blob of storage.list()) {
+    summary.blobs_checked++;
+    if (blob.name.startsWith(QUARANTINE_PREFIX)) {
+      continue;
+    }
+
+    const reference = references.get(blob.name);
+    if (reference) {
+      seen.add(blob.name);
+      const { upload, field } = reference;
+      const pending = upload?.upload_status === UPLOAD_STATUS.PENDING;
+      if (field === "blob_name" && !pending && Number(upload.file_size) !== Number(blob.size)) {
+        issues.push({
+          type: ISSUE_TYPES.SIZE_MISMATCH,
+          upload_id: upload.id,
+          blob_name: blob.name,
+          recorded_size: Number(upload.file_size),
+          actual_size: Number(blob.size),
+          action: "none",
+        });
+      }
+      continue;
+    }
+
+    // Derived files live below the base name of their upload
+    const slash = blob.name.indexOf("/");
+    if (slash > 0 && uploadsByBase.has(blob.name.slice(0, slash))) {
+      continue;
+    }
+    if (sessionBlobs.has(blob.name)) {
+      continue;
+    }
+    // Transcription output of a job that has not reported back yet
+    const owner = uploadsByBase.get(baseName(blob.name));
+    const inFlight = [JOB_STATUS.PENDING, JOB_STATUS.PROCESSING].includes(owner?.transcription_status);
+    if (owner && inFlight && /\.(json|vtt)$/.test(blob.name)) {
+      continue;
+    }
+    if (blob.lastModified && blob.lastModified.getTime() > cutoff) {
+      continue;
+    }
+
+    orphans.push(blob);
+    issues.push({
+      type: ISSUE_TYPES.ORPHANED_BLOB,
+      blob_name: blob.name,
+      size: Number(blob.size),
+      last_modified: blob.lastModified ?? null,
+      upload_id: owner?.id ?? null,
+      action: "none",
+    });
+  }
+
+  for (const [blobName, { upload, uploads, track, field }] of references) {
+    // Pending direct uploads may not have been written yet (they expire on
+    // their own), and clips are written by the encoding worker
+    const awaitingFile = upload && (upload.upload_status === UPLOAD_STATUS.PENDING || awaitingClipFile(upload));
+    if (seen.has(blobName) || awaitingFile) {
+      continue;
+    }
+    issues.push({
+      type: ISSUE_TYPES.MISSING_BLOB,
+      upload_id: upload?.id ?? track.upload_id,
+      caption_track_id: track?.id ?? null,
+      field,
+      blob_name: blobName,
+      deleted: Boolean(upload?.deleted_at),
+      action: "none",
+      reference: { upload, uploads, track },
+    });
+  }
+
+  if (repair) {
+    for (const issue of issues) {
+      if (issue.type === ISSUE_TYPES.ORPHANED_BLOB) {
+        continue;
+      }
+      try {
+        issue.action = await repairIssue(prisma, issue);
+        if (issue.action !== "none") {
+          summary.repaired++;
+        }
+      } catch (error) {
+        logger.error(`[RECONCILE] Failed to repair ${issue.type} ${issue.blob_name}:`, error);
+        errors.push({ blob_name: issue.blob_name, error: error.message });
+      }
+    }
+  }
+
+  if (quarantine && orphans.length > 0) {
+    const folder = `${QUARANTINE_PREFIX}${startedAt.toISOString().replace(/[:.]/g, "-")}/`;
+    for (const blob of orphans) {
+      const issue = issues.find((item) => item.type === ISSUE_TYPES.ORPHANED_BLOB && item.blob_name === blob.name);
+      try {
+        const target = `${folder}${blob.name}`;
+        await storage.putStream(target, await storage.getStream(blob.name));
+        await storage.delete(blob.name);
+        issue.action = "quarantined";
+        issue.quarantined_to = target;
+        summary.quarantined++;
+      } catch (error) {
+        logger.error(`[RECONCILE] Failed to quarantine ${blob.name}:`, error);
+        errors.push({ blob_name: blob.name, error: error.message });
+      }
+    }
+  }
+
+  for (const issue of issues) {
+    delete issue.reference;
+    if (issue.type === ISSUE_TYPES.ORPHANED_BLOB) {
+      summary.orphaned_blobs++;
+    } else if (issue.type === ISSUE_TYPES.MISSING_BLOB) {
+      summary.missing_blobs++;
+    } else {
+      summary.size_mismatches++;
+    }
+  }
+
+  return {
+    started_at: startedAt,
+    finished_at: new Date(),
+    storage: { driver: storage.name, container: storage.container },
+    options: { repair, quarantine, min_age_minutes: minAgeMinutes },
+    summary,
+    issues,
+    errors,
+  };
+}
+
+// Fix the database side of an issue; returns the action taken
+async function repairIssue(prisma, issue) {
+  if (issue.type === ISSUE_TYPES.SIZE_MISMATCH) {
+    await prisma.videoUpload.updateMany({
+      where: { blob_name: issue.blob_name },
+      data: { file_size: issue.actual_size },
+    });
+    return "updated_file_size";
+  }
+
+  const { upload, uploads, track } = issue.reference;
+  switch (issue.field) {
+    case "blob_name": {
+      // Already in the trash: the purge job removes the row
+      const live = uploads.filter((sharing) => !sharing.deleted_at);
+      if (live.length === 0) {
+        return "none";
+      }
+      for (const sharing of live) {
+        await prisma.$transaction((tx) => trashUpload(tx, sharing, null, { reason: "missing_blob" }));
+      }
+      return "moved_to_trash";
+    }
+    case "transcript_json_blob":
+    case "transcript_vtt_blob":
+      await prisma.videoUpload.update({ where: { id: upload.id }, data: { [issue.field]: null } });
+      return "cleared_reference";
+    case "hls_url":
+      // The encoding worker picks the upload up again
+      await prisma.videoUpload.update({
+        where: { id: upload.id },
+        data: { encoding_status: JOB_STATUS.PENDING, hls_url: null, encoding_error: null },
+      });
+      return "queued_for_encoding";
+    case "thumbnail_count":
+      await prisma.videoUpload.update({
+        where: { id: upload.id },
+        data: { thumbnail_count: null, thumbnail_interval: null },
+      });
+      return "cleared_reference";
+    case "caption_track":
+      await prisma.$transaction([
+        prisma.transcriptSegment.deleteMany({ where: { caption_track_id: track.id } }),
+        prisma.captionTrack.delete({ where: { id: track.id } }),
+      ]);
+      return "deleted_caption_track";
+    default:
+      return "none";
+  }
+}
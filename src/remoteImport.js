@@ -0,0 +1,530 @@
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+import crypto from "crypto";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+
+/**
+ * Imports of lecture videos from a remote URL.
+ *
+ * An import is a pending upload (see directUploads.js) whose file the import
+ * worker downloads instead of the client writing it. The response is streamed
+ * into the upload's blob and hashed on the way; the file is then verified like
+ * a direct upload before the upload joins the lecture's playlist.
+ *
+ * The service must not become a proxy into internal networks (SSRF):
+ * - only http(s) URLs without credentials, on a host of the allow-list,
+ * - every address the host resolves to must be public; the check runs in the
+ *   socket's DNS lookup, so the name cannot resolve to another address
+ *   between the check and the connection,
+ * - redirects are followed one by one and each target is checked again.
+ * Downloads are limited in size and time, and the response must declare a
+ * video (or generic binary) Content-Type.
+ */
+
+export const IMPORT_STATUS = {
+  QUEUED: "queued",
+  DOWNLOADING: "downloading",
+  VERIFYING: "verifying",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+// A failure whose message is reported to the user as the import's error
+export class ImportError extends Error {}
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Servers often label videos generically; the content check has the last word
+const GENERIC_CONTENT_TYPES = ["application/octet-stream", "binary/octet-stream"];
+
+// Loopback, private, link-local, shared, multicast, documentation and other
+// reserved ranges. IPv4-mapped (::ffff:0:0/96) and IPv4-compatible (::/96)
+// addresses are checked by the IPv4 address they embed; NAT64 and 6to4
+// addresses can reach any IPv4 address and are blocked as a whole.
+const BLOCKED_IPV4_RANGES = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.88.99.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+];
+const BLOCKED_IPV6_RANGES = [
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+];
+
+// Separate lists: a BlockList applies IPv6 rules covering mapped addresses to
+// IPv4 addresses as well
+const ipv4BlockList = new net.BlockList();
+for (const [network, prefix] of BLOCKED_IPV4_RANGES) {
+  ipv4BlockList.addSubnet(network, prefix, "ipv4");
+}
+const ipv6BlockList = new net.BlockList();
+for (const [network, prefix] of BLOCKED_IPV6_RANGES) {
+  ipv6BlockList.addSubnet(network, prefix, "ipv6");
+}
+
+// The eight 16-bit groups of an IPv6 address (which net.isIP accepted)
+function ipv6Groups(address) {
+  let text = address.toLowerCase().replace(/%.*$/, "");
+  // A trailing dotted IPv4 part stands for the last two groups
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const zeros = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill("0");
+  return [...headGroups, ...zeros, ...tailGroups].map((group) => parseInt(group, 16));
+}
+
+// The IPv4 address embedded in an IPv4-mapped or IPv4-compatible IPv6
+// address, or null
+function embeddedIpv4(address) {
+  const groups = ipv6Groups(address);
+  if (groups.slice(0, 5).some(Boolean) || (groups[5] !== 0 && groups[5] !== 0xffff)) {
+    return null;
+  }
+  return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join(".");
+}
+
+/**
+ * Whether an IP address is a public unicast address
+ * @param {string} address
+ */
+export function isPublicAddress(address) {
+  const type = net.isIP(address);
+  if (type === 0) {
+    return false;
+  }
+  if (type === 4) {
+    return !ipv4BlockList.check(address, "ipv4");
+  }
+  const ipv4 = embeddedIpv4(address);
+  if (ipv4 !== null) {
+    return !ipv4BlockList.check(ipv4, "ipv4");
+  }
+  return !ipv6BlockList.check(address, "ipv6");
+}
+
+// Split an allow-list entry into host pattern and port ("" = default port)
+function parseHostEntry(entry) {
+  const match = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(entry.toLowerCase());
+  return match ? { host: match[1], port: match[2] ?? "" } : null;
+}
+
+/**
+ * Whether a URL's host is on the allow-list. Entries are host names (exact
+ * match), `*.example.com` (any subdomain) or `*` (any public host), each
+ * optionally with a port; without one only the scheme's default port is
+ * allowed.
+ * @param {URL} url
+ * @param {string[]} allowedHosts
+ */
+export function isAllowedHost(url, allowedHosts) {
+  const host = url.hostname.toLowerCase();
+  const defaultPort = url.protocol === "https:" ? "443" : "80";
+  const port = url.port || defaultPort;
+  return allowedHosts.some((entry) => {
+    const parsed = parseHostEntry(entry);
+    if (!parsed || (parsed.port || defaultPort) !== port) {
+      return false;
+    }
+    if (parsed.host === "*") {
+      return true;
+    }
+    if (parsed.host.startsWith("*.")) {
+      return host.endsWith(parsed.host.slice(1));
+    }
+    return host === parsed.host;
+  });
+}
+
+/**
+ * Validate a URL to import from
+ * @param {unknown} value
+ * @param {string[]} allowedHosts
+ * @returns {{ error: string } | { url: URL }}
+ */
+export function parseImportUrl(value, allowedHosts) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return { error: "url must be an absolute URL" };
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return { error: "Only http and https URLs can be imported" };
+  }
+  if (url.username || url.password) {
+    return { error: "URLs with credentials are not allowed" };
+  }
+  if (!isAllowedHost(url, allowedHosts)) {
+    return { error: `Imports from ${url.host} are not allowed` };
+  }
+  // IP literals are not looked up, so they are checked here
+  const literal = url.hostname.replace(/^\[(.*)\]$/, "$1");
+  if (net.isIP(literal) && !isPublicAddress(literal)) {
+    return { error: "Imports from private or reserved addresses are not allowed" };
+  }
+  return { url };
+}
+
+/**
+ * A file name for an import without one: the last segment of the URL's path
+ * @param {URL} url
+ */
+export function importFilename(url) {
+  let name = url.pathname.split("/").pop();
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    // Keep the encoded name
+  }
+  name = name.replace(/[^\w.\- ]/g, "_").replace(/^[. ]+/, "");
+  return name || "imported-video";
+}
+
+// dns.lookup that refuses names resolving to a non-public address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some((entry) => !isPublicAddress(entry.address))) {
+      return callback(new ImportError(`${hostname} resolves to a private or reserved address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// GET a URL; resolves with the response once its headers arrived
+function get(url, { signal, idleTimeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const transport = url.protocol === "https:" ? https : http;
+    const request = transport.get(url, {
+      lookup: publicLookup,
+      signal,
+      timeout: idleTimeoutMs,
+      headers: { "User-Agent": "svc-video-import", Accept: "video/*, application/octet-stream;q=0.9" },
+    });
+    request.on("timeout", () => {
+      const error = new ImportError(`${url.host} sent no data for ${idleTimeoutMs / 1000} seconds`);
+      request.res?.destroy(error);
+      request.destroy(error);
+    });
+    request.on("response", resolve);
+    request.on("error", reject);
+  });
+}
+
+// Open the download, following redirects
+async function openDownload(href, { allowedHosts, signal, idleTimeoutMs }) {
+  for (let redirects = 0; ; redirects++) {
+    const checked = parseImportUrl(href, allowedHosts);
+    if (checked.error) {
+      throw new ImportError(redirects > 0 ? `Redirected to a rejected URL: ${checked.error}` : checked.error);
+    }
+    const response = await get(checked.url, { signal, idleTimeoutMs });
+    if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+      response.resume();
+      if (redirects >= MAX_REDIRECTS) {
+        throw new ImportError(`More than ${MAX_REDIRECTS} redirects`);
+      }
+      href = new URL(response.headers.location, checked.url).href;
+      continue;
+    }
+    if (response.statusCode !== 200) {
+      response.resume();
+      throw new ImportError(`${checked.url.host} responded with ${response.statusCode} ${response.statusMessage}`);
+    }
+    return response;
+  }
+}
+
+// Human-readable reason of a failed download
+function describeError(error, { host, timedOut, timeoutMs }) {
+  if (timedOut) {
+    return `The download did not finish within ${timeoutMs / 60000} minutes`;
+  }
+  if (error instanceof ImportError) {
+    return error.message;
+  }
+  switch (error.code) {
+    case "ENOTFOUND":
+    case "EAI_AGAIN":
+      return `Host ${host} not found`;
+    case "ECONNREFUSED":
+      return "The server refused the connection";
+    case "ECONNRESET":
+      return "The server closed the connection";
+    case "CERT_HAS_EXPIRED":
+    case "DEPTH_ZERO_SELF_SIGNED_CERT":
+    case "SELF_SIGNED_CERT_IN_CHAIN":
+    case "UNABLE_TO_VERIFY_LEAF_SIGNATURE":
+    case "ERR_TLS_CERT_ALTNAME_INVALID":
+      return `The server's TLS certificate is not valid (${error.code})`;
+    default:
+      return `The download failed: ${error.message}`;
+  }
+}
+
+/**
+ * Status of an import for its API representation
+ * @param {object} upload - VideoUpload row with an import_url
+ */
+export function importProgress(upload) {
+  const bytes = upload.import_bytes === null ? null : Number(upload.import_bytes);
+  const total = upload.import_total_bytes === null ? null : Number(upload.import_total_bytes);
+  return {
+    upload_id: upload.id,
+    lecture_id: upload.lecture_id,
+    url: upload.import_url,
+    status: upload.import_status,
+    bytes_received: bytes,
+    total_bytes: total,
+    progress: total ? Math.min(Math.round((bytes / total) * 1000) / 1000, 1) : null,
+    error: upload.import_error,
+    started_at: upload.import_started_at,
+    finished_at: upload.import_finished_at,
+    // Failed imports are deleted after this
+    expires_at: upload.import_status === IMPORT_STATUS.FAILED ? upload.upload_expires_at : null,
+  };
+}
+
+/**
+ * Start polling for queued imports.
+ * @param {object} options
+ * @param {import("@prisma/client").PrismaClient} options.prisma
+ * @param {import("./storage/index.js").StorageDriver} options.storage
+ * @param {string[]} options.allowedHosts
+ * @param {string[]} options.allowedMimeTypes - Video types accepted as Content-Type
+ * @param {(upload: object) => Promise<{ maxBytes: number, reason: string }>} options.sizeLimit
+ *   Largest file the upload may have, and what sets the limit
+ * @param {(upload: object, file: { size: number, checksums: { sha256: string, md5: string },
+ *   contentType: string | null }) => Promise<void>} options.complete
+ *   Verify the downloaded file and complete the upload; throws ImportError to reject it
+ * @param {(status: string) => void} [options.onFinished] - Called with "completed" or "failed"
+ * @param {number} [options.concurrency]
+ * @param {number} [options.pollIntervalMs]
+ * @param {number} [options.timeoutMs] - Max download time
+ * @param {number} [options.idleTimeoutMs] - Max time without data
+ * @param {number} [options.retentionMs] - How long queued and failed imports are kept
+ * @param {number} [options.progressIntervalMs] - Min time between progress updates
+ * @param {Console} [options.logger]
+ * @returns {{ stop: () => void }}
+ */
+export function startImportWorker({
+  prisma,
+  storage,
+  allowedHosts,
+  allowedMimeTypes,
+  sizeLimit,
+  complete,
+  onFinished = () => {},
+  concurrency = 2,
+  pollIntervalMs = 5000,
+  timeoutMs = 60 * 60 * 1000,
+  idleTimeoutMs = 60 * 1000,
+  retentionMs = 24 * 60 * 60 * 1000,
+  progressIntervalMs = 2000,
+  logger = console,
+}) {
+  let running = 0;
+  let stopped = false;
+  let timer;
+
+  // Stream the URL into the upload's blob, hashing it on the way
+  async function download(upload, signal) {
+    const { maxBytes, reason } = await sizeLimit(upload);
+    const response = await openDownload(upload.import_url, { allowedHosts, signal, idleTimeoutMs });
+
+    const contentType = (response.headers["content-type"] ?? "").split(";")[0].trim().toLowerCase();
+    if (!allowedMimeTypes.includes(contentType) && !GENERIC_CONTENT_TYPES.includes(contentType)) {
+      response.resume();
+      throw new ImportError(`The URL does not point to a video (Content-Type: ${contentType || "none"})`);
+    }
+    const total = response.headers["content-length"] ? Number(response.headers["content-length"]) : null;
+    if (total !== null && total > maxBytes) {
+      response.resume();
+      throw new ImportError(`The file has ${total} bytes, more than ${reason} of ${maxBytes} bytes`);
+    }
+    await prisma.videoUpload.update({ where: { id: upload.id }, data: { import_total_bytes: total } });
+
+    const sha256 = crypto.createHash("sha256");
+    const md5 = crypto.createHash("md5");
+    let size = 0;
+    let savedAt = Date.now();
+    let saving = false;
+    const meter = new Transform({
+      transform(chunk, _encoding, callback) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          return callback(new ImportError(`The file is larger than ${reason} of ${maxBytes} bytes`));
+        }
+        sha256.update(chunk);
+        md5.update(chunk);
+        if (!saving && Date.now() - savedAt >= progressIntervalMs) {
+          saving = true;
+          savedAt = Date.now();
+          prisma.videoUpload
+            .update({ where: { id: upload.id }, data: { import_bytes: size } })
+            .catch((error) => logger.error(`[IMPORT] Failed to save progress of ${upload.id}:`, error.message))
+            .finally(() => {
+              saving = false;
+            });
+        }
+        callback(null, chunk);
+      },
+    });
+
+    const storageType = GENERIC_CONTENT_TYPES.includes(contentType) ? "application/octet-stream" : contentType;
+    await Promise.all([
+      pipeline(response, meter),
+      storage.putStream(upload.blob_name, meter, { contentType: storageType }),
+    ]);
+    return {
+      size,
+      checksums: { sha256: sha256.digest("hex"), md5: md5.digest("hex") },
+      contentType: allowedMimeTypes.includes(contentType) ? contentType : null,
+    };
+  }
+
+  // Keep a failed import for a while so its error can be seen; the cleanup
+  // of expired pending uploads deletes it
+  async function fail(upload, message) {
+    const now = new Date();
+    const { count } = await prisma.videoUpload.updateMany({
+      where: { id: upload.id, import_status: { not: IMPORT_STATUS.COMPLETED } },
+      data: {
+        import_status: IMPORT_STATUS.FAILED,
+        import_error: message,
+        import_finished_at: now,
+        upload_expires_at: new Date(now.getTime() + retentionMs),
+      },
+    });
+    if (count > 0) {
+      await storage.delete(upload.blob_name);
+      onFinished(IMPORT_STATUS.FAILED);
+    }
+  }
+
+  async function processImport(upload) {
+    // Claim the import; another worker may have been faster. It must not
+    // expire while it runs.
+    const { count } = await prisma.videoUpload.updateMany({
+      where: { id: upload.id, import_status: IMPORT_STATUS.QUEUED },
+      data: {
+        import_status: IMPORT_STATUS.DOWNLOADING,
+        import_bytes: 0,
+        import_total_bytes: null,
+        import_error: null,
+        import_started_at: new Date(),
+        upload_expires_at: new Date(Date.now() + 2 * timeoutMs + retentionMs),
+      },
+    });
+    if (count === 0) {
+      return;
+    }
+
+    const host = new URL(upload.import_url).host;
+    logger.log(`[IMPORT] Importing upload ${upload.id} from ${host}`);
+    const controller = new AbortController();
+    const deadline = setTimeout(() => controller.abort(), timeoutMs);
+    let file;
+    try {
+      file = await download(upload, controller.signal);
+    } catch (error) {
+      const message = describeError(error, { host, timedOut: controller.signal.aborted, timeoutMs });
+      logger.error(`[IMPORT] Download of upload ${upload.id} from ${host} failed: ${message}`);
+      return fail(upload, message);
+    } finally {
+      clearTimeout(deadline);
+    }
+
+    try {
+      await prisma.videoUpload.update({
+        where: { id: upload.id },
+        data: { import_status: IMPORT_STATUS.VERIFYING, import_bytes: file.size, file_size: file.size },
+      });
+      await complete(upload, file);
+      logger.log(`[IMPORT] Upload ${upload.id} imported (${file.size} bytes)`);
+      onFinished(IMPORT_STATUS.COMPLETED);
+    } catch (error) {
+      if (error instanceof ImportError) {
+        logger.log(`[IMPORT] Upload ${upload.id} rejected: ${error.message}`);
+      } else {
+        logger.error(`[IMPORT] Verifying upload ${upload.id} failed:`, error);
+      }
+      await fail(upload, error instanceof ImportError ? error.message : "Verifying the file failed");
+    }
+  }
+
+  async function poll() {
+    try {
+      // Re-queue imports whose worker died. A live worker gives up after
+      // timeoutMs, so twice that is safely abandoned.
+      await prisma.videoUpload.updateMany({
+        where: {
+          import_status: { in: [IMPORT_STATUS.DOWNLOADING, IMPORT_STATUS.VERIFYING] },
+          updated_at: { lt: new Date(Date.now() - 2 * timeoutMs) },
+        },
+        data: { import_status: IMPORT_STATUS.QUEUED, upload_expires_at: new Date(Date.now() + retentionMs) },
+      });
+
+      const free = concurrency - running;
+      if (free > 0) {
+        const queued = await prisma.videoUpload.findMany({
+          where: { import_status: IMPORT_STATUS.QUEUED },
+          orderBy: { created_at: "asc" },
+          take: free,
+        });
+        for (const upload of queued) {
+          running++;
+          processImport(upload)
+            .catch((error) => logger.error("[IMPORT] Unexpected error:", error))
+            .finally(() => {
+              running--;
+            });
+        }
+      }
+    } catch (error) {
+      logger.error("[IMPORT] Failed to poll for queued imports:", error);
+    }
+    if (!stopped) {
+      timer = setTimeout(poll, pollIntervalMs);
+      timer.unref();
+    }
+  }
+
+  poll();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
@@ -0,0 +1,108 @@
+import crypto from "crypto";
+
+/**
+ * Signed, expiring URLs for local storage, mirroring Azure SAS URLs.
+ *
+ * The query string carries the same kind of parameters as a SAS token:
+ * - `se`  expiry (unix seconds)
+ * - `sp`  permissions ("r" read, "rcw" read/create/write)
+ * - `sr`  resource type: "b" a single blob, "d" every blob below a prefix
+ * - `sig` HMAC-SHA256 over the above and the blob path
+ */
+
+function sign(secret, resource, resourceType, permissions, expiresOn) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${permissions}\n${resourceType}\n${resource}\n${expiresOn}`)
+    .digest("base64url");
+}
+
+/**
+ * Build the signed query parameters for a blob (or a prefix ending in "/")
+ * @param {string} secret
+ * @param {string} resource - Blob name, or a directory prefix ending with "/"
+ * @param {number} expiresInMinutes
+ * @param {boolean} writePermission - If true, grants write permission; otherwise read-only
+ * @returns {URLSearchParams}
+ */
+export function signResource(secret, resource, expiresInMinutes = 60, writePermission = false) {
+  const expiresOn = Math.floor(Date.now() / 1000) + Math.round(expiresInMinutes * 60);
+  const permissions = writePermission ? "rcw" : "r";
+  const resourceType = resource.endsWith("/") ? "d" : "b";
+  return new URLSearchParams({
+    se: String(expiresOn),
+    sp: permissions,
+    sr: resourceType,
+    sig: sign(secret, resource, resourceType, permissions, expiresOn),
+  });
+}
+
+/**
+ * Generate a signed URL for a blob served by `/api/videos/*`
+ * @param {string} baseUrl - e.g. `${GATEWAY_URL}/api/videos`
+ * @param {string} secret
+ * @param {string} blobName
+ * @param {number} expiresInMinutes
+ * @param {boolean} writePermission
+ * @returns {string}
+ */
+export function generateSignedUrl(baseUrl, secret, blobName, expiresInMinutes = 60, writePermission = false) {
+  const params = signResource(secret, blobName, expiresInMinutes, writePermission);
+  const encodedPath = blobName.split("/").map(encodeURIComponent).join("/");
+  return `${baseUrl}/${encodedPath}?${params}`;
+}
+
+/**
+ * Generate a signed URL for a file inside a signed directory (e.g. an HLS
+ * master playlist whose segments are covered by the same token)
+ */
+export function generateSignedPrefixUrl(baseUrl, secret, prefix, fileName, expiresInMinutes = 60) {
+  const params = signResource(secret, prefix, expiresInMinutes);
+  const encodedPath = `${prefix}${fileName}`.split("/").map(encodeURIComponent).join("/");
+  return `${baseUrl}/${encodedPath}?${params}`;
+}
+
+/**
+ * Check the signature of a request for a blob
+ * @param {string} secret
+ * @param {string} blobName - Requested blob path
+ * @param {object} query - Parsed query string
+ * @param {string} permission - Required permission letter ("r" or "w")
+ * @returns {{ valid: true } | { valid: false, status: number, reason: string }}
+ */
+export function verifySignedRequest(secret, blobName, query, permission = "r") {
+  const { se, sp, sr, sig } = query;
+  if (!se || !sp || !sr || !sig) {
+    return { valid: false, status: 401, reason: "Missing signature" };
+  }
+
+  // The signed resource is the blob itself or, for sr=d, one of its parent directories
+  let resource = blobName;
+  if (sr === "d") {
+    const candidates = [];
+    const parts = blobName.split("/");
+    for (let i = parts.length - 1; i > 0; i--) {
+      candidates.push(`${parts.slice(0, i).join("/")}/`);
+    }
+    resource = candidates.find((prefix) => safeEqual(sig, sign(secret, prefix, sr, sp, se)));
+  } else if (sr !== "b" || !safeEqual(sig, sign(secret, resource, sr, sp, se))) {
+    resource = undefined;
+  }
+
+  if (!resource) {
+    return { valid: false, status: 403, reason: "Invalid signature" };
+  }
+  if (Number(se) * 1000 < Date.now()) {
+    return { valid: false, status: 403, reason: "Signature has expired" };
+  }
+  if (!sp.includes(permission)) {
+    return { valid: false, status: 403, reason: "Signature does not grant this permission" };
+  }
+  return { valid: true };
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
@@ -0,0 +1,103 @@
+import {
+  initializeBlobServiceClient,
+  generateSasUrl,
+  deleteBlob,
+  uploadBlobFromFile,
+  uploadBlobStream,
+  stageBlock,
+  commitBlockList,
+  downloadBlobToFile,
+  downloadBlobRange,
+  getBlobReadStream,
+  getBlobUrl,
+  blobExists,
+  getBlobSize,
+  setBlobContentMd5,
+  deleteBlobsByPrefix,
+  listBlobs,
+} from "../azureStorage.js";
+import { generateSignedPrefixUrl } from "../signedUrls.js";
+
+/**
+ * Azure Blob Storage driver
+ * @param {object} options
+ * @param {string} [options.account] - Storage account name (managed identity)
+ * @param {string} [options.connectionString]
+ * @param {string} options.container
+ * @param {{ baseUrl: string, signingSecret: string }} options.playlists - Service route that
+ *   serves HLS playlists with signed segment URLs (`/api/hls`) and the secret of its tokens
+ */
+export function createAzureStorage({ account, connectionString, container, playlists }) {
+  const blobServiceClient = initializeBlobServiceClient(account, connectionString);
+
+  // All block IDs of a blob must be base64 strings of the same length
+  const blockIdFor = (partNumber) => Buffer.from(String(partNumber).padStart(6, "0")).toString("base64");
+
+  return {
+    name: "azure",
+    container,
+    minPartSize: 0,
+
+    url: (blobName) => getBlobUrl(blobServiceClient, container, blobName),
+
+    putFile: (blobName, filePath, contentType) =>
+      uploadBlobFromFile(blobServiceClient, container, blobName, filePath, contentType),
+
+    putStream: (blobName, stream, { contentType } = {}) =>
+      uploadBlobStream(blobServiceClient, container, blobName, stream, contentType),
+
+    getStream: (blobName, { start = 0, end } = {}) =>
+      getBlobReadStream(
+        blobServiceClient,
+        container,
+        blobName,
+        start,
+        end === undefined ? undefined : end - start + 1
+      ),
+
+    readRange: (blobName, offset, count) =>
+      downloadBlobRange(blobServiceClient, container, blobName, offset, count),
+
+    downloadToFile: (blobName, filePath) =>
+      downloadBlobToFile(blobServiceClient, container, blobName, filePath),
+
+    exists: (blobName) => blobExists(blobServiceClient, container, blobName),
+
+    size: (blobName) => getBlobSize(blobServiceClient, container, blobName),
+
+    setContentMd5: (blobName, md5, contentType) =>
+      setBlobContentMd5(blobServiceClient, container, blobName, md5, contentType),
+
+    delete: (blobName) => deleteBlob(blobServiceClient, container, blobName),
+
+    deletePrefix: (prefix) => deleteBlobsByPrefix(blobServiceClient, container, prefix),
+
+    list: (prefix) => listBlobs(blobServiceClient, container, prefix),
+
+    signedReadUrl: (blobName, expiresInMinutes) =>
+      generateSasUrl(blobServiceClient, container, blobName, expiresInMinutes, false),
+
+    signedWriteUrl: (blobName, expiresInMinutes) =>
+      generateSasUrl(blobServiceClient, container, blobName, expiresInMinutes, true),
+
+    // A SAS covers a single blob, so HLS playlists are served by the service,
+    // which signs every segment they list
+    signedPrefixReadUrl: async (prefix, fileName, expiresInMinutes) =>
+      generateSignedPrefixUrl(playlists.baseUrl, playlists.signingSecret, prefix, fileName, expiresInMinutes),
+
+    // Resumable uploads: every part is staged as an uncommitted block
+    createMultipart: async () => null,
+
+    async uploadPart(blobName, { partNumber, stream, contentLength }) {
+      const blockId = blockIdFor(partNumber);
+      await stageBlock(blobServiceClient, container, blobName, blockId, stream, contentLength);
+      return blockId;
+    },
+
+    completeMultipart: (blobName, { parts, contentType }) =>
+      commitBlockList(blobServiceClient, container, blobName, parts, contentType),
+
+    // Uncommitted blocks are garbage collected by the storage account
+    abortMultipart: async () => {},
+  };
+}
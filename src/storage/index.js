@@ -0,0 +1,57 @@
+import { createAzureStorage } from "./azure.js";
+import { createLocalStorage } from "./local.js";
+import { createS3Storage } from "./s3.js";
+
+/**
+ * Storage driver interface. Every driver is bound to one container/bucket and
+ * addresses files by blob name ("lecture_123_talk.mp4", "lecture_123_talk/hls/master.m3u8").
+ *
+ * @typedef {object} StorageDriver
+ * @property {"azure" | "local" | "s3"} name
+ * @property {string} container - Stored as `blob_container` on uploads
+ * @property {number} minPartSize - Smallest allowed non-final resumable chunk
+ * @property {(blobName: string) => string} url - Plain (unsigned) URL
+ * @property {(blobName: string, filePath: string, contentType?: string) => Promise<string>} putFile
+ * @property {(blobName: string, stream: import("stream").Readable, options?: { contentType?: string }) => Promise<string>} putStream
+ * @property {(blobName: string, range?: { start?: number, end?: number }) => Promise<import("stream").Readable>} getStream
+ * @property {(blobName: string, offset: number, count: number) => Promise<Buffer>} readRange
+ * @property {(blobName: string, filePath: string) => Promise<void>} downloadToFile
+ * @property {(blobName: string) => Promise<boolean>} exists
+ * @property {(blobName: string) => Promise<number | null>} size - Size in bytes, null if missing
+ * @property {(blobName: string, md5: string, contentType: string) => Promise<void>} setContentMd5
+ *   Store the hex MD5 of a blob as its Content-MD5 where the storage supports it
+ * @property {(blobName: string) => Promise<void>} delete
+ * @property {(prefix: string) => Promise<void>} deletePrefix
+ * @property {(prefix?: string) => AsyncIterable<{ name: string, size: number, lastModified: Date }>} list
+ *   All blobs below a prefix, in no particular order
+ * @property {(blobName: string, expiresInMinutes: number) => Promise<string>} signedReadUrl
+ * @property {(blobName: string, expiresInMinutes: number) => Promise<string>} signedWriteUrl
+ * @property {(prefix: string, fileName: string, expiresInMinutes: number) => Promise<string>} signedPrefixReadUrl
+ *   Signed URL of a file whose relative references (HLS variant playlists and segments) must be readable too
+ * @property {(blobName: string, contentType: string) => Promise<string | null>} createMultipart
+ * @property {(blobName: string, part: { uploadId: string | null, partNumber: number, offset: number, stream: import("stream").Readable, contentLength: number }) => Promise<string>} uploadPart
+ * @property {(blobName: string, upload: { uploadId: string | null, parts: string[], contentType: string }) => Promise<string>} completeMultipart
+ * @property {(blobName: string, upload: { uploadId: string | null }) => Promise<void>} abortMultipart
+ */
+
+/**
+ * Create the storage driver selected by configuration
+ * @param {object} config
+ * @param {"azure" | "local" | "s3"} config.driver
+ * @param {object} config.azure - Options for createAzureStorage
+ * @param {object} config.local - Options for createLocalStorage
+ * @param {object} config.s3 - Options for createS3Storage
+ * @returns {StorageDriver}
+ */
+export function createStorage({ driver, azure, local, s3 }) {
+  switch (driver) {
+    case "azure":
+      return createAzureStorage(azure);
+    case "local":
+      return createLocalStorage(local);
+    case "s3":
+      return createS3Storage(s3);
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
@@ -0,0 +1,168 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import { generateSignedUrl, generateSignedPrefixUrl, verifySignedRequest } from "../signedUrls.js";
+
+/**
+ * Local filesystem driver for development. Files are served (and written) by
+ * the `/api/videos/*` routes using signed URLs.
+ * @param {object} options
+ * @param {string} options.rootDir - Directory holding the files
+ * @param {string} options.baseUrl - Public URL of `/api/videos`
+ * @param {string} options.signingSecret - Secret for signed URLs
+ */
+export function createLocalStorage({ rootDir, baseUrl, signingSecret }) {
+  // In-progress resumable uploads live in a hidden directory that is never served
+  const partsDir = path.join(rootDir, ".sessions");
+  fs.mkdirSync(partsDir, { recursive: true });
+
+  const partPath = (uploadId) => path.join(partsDir, `${uploadId}.part`);
+
+  // Resolve a blob name to a path below rootDir, or null if it escapes it
+  function localPath(blobName) {
+    const filePath = path.join(rootDir, ...blobName.split("/"));
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      return null;
+    }
+    return filePath;
+  }
+
+  function requirePath(blobName) {
+    const filePath = localPath(blobName);
+    if (!filePath) {
+      throw new Error(`Invalid blob name: ${blobName}`);
+    }
+    return filePath;
+  }
+
+  async function putStream(blobName, stream) {
+    const filePath = requirePath(blobName);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await pipeline(stream, fs.createWriteStream(filePath));
+    return `${baseUrl}/${blobName}`;
+  }
+
+  return {
+    name: "local",
+    container: "local",
+    minPartSize: 0,
+
+    url: (blobName) => `${baseUrl}/${blobName}`,
+
+    localPath,
+
+    verifySignature: (blobName, query, permission) =>
+      verifySignedRequest(signingSecret, blobName, query, permission),
+
+    async putFile(blobName, filePath) {
+      const destination = requirePath(blobName);
+      await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+      await fs.promises.copyFile(filePath, destination);
+      return `${baseUrl}/${blobName}`;
+    },
+
+    putStream,
+
+    async getStream(blobName, { start, end } = {}) {
+      return fs.createReadStream(requirePath(blobName), { start, end });
+    },
+
+    async readRange(blobName, offset, count) {
+      const handle = await fs.promises.open(requirePath(blobName), "r");
+      try {
+        const buffer = Buffer.alloc(count);
+        const { bytesRead } = await handle.read(buffer, 0, count, offset);
+        return buffer.subarray(0, bytesRead);
+      } finally {
+        await handle.close();
+      }
+    },
+
+    downloadToFile: (blobName, filePath) => fs.promises.copyFile(requirePath(blobName), filePath),
+
+    async exists(blobName) {
+      const filePath = localPath(blobName);
+      return filePath !== null && fs.existsSync(filePath);
+    },
+
+    async size(blobName) {
+      const filePath = localPath(blobName);
+      if (filePath === null || !fs.existsSync(filePath)) {
+        return null;
+      }
+      return (await fs.promises.stat(filePath)).size;
+    },
+
+    // Files have no metadata; the checksums are kept in the database only
+    setContentMd5: async () => {},
+
+    delete: (blobName) => fs.promises.rm(requirePath(blobName), { force: true }),
+
+    deletePrefix: (prefix) =>
+      fs.promises.rm(requirePath(prefix.replace(/\/$/, "")), { recursive: true, force: true }),
+
+    // Hidden files and directories (in-progress resumable uploads) are skipped
+    async *list(prefix = "") {
+      async function* walk(dir, relative) {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === "ENOENT") {
+            return;
+          }
+          throw error;
+        }
+        for (const entry of entries) {
+          if (entry.name.startsWith(".")) {
+            continue;
+          }
+          const name = relative ? `${relative}/${entry.name}` : entry.name;
+          const filePath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            yield* walk(filePath, name);
+          } else if (entry.isFile() && name.startsWith(prefix)) {
+            const stats = await fs.promises.stat(filePath);
+            yield { name, size: stats.size, lastModified: stats.mtime };
+          }
+        }
+      }
+      yield* walk(rootDir, "");
+    },
+
+    signedReadUrl: async (blobName, expiresInMinutes) =>
+      generateSignedUrl(baseUrl, signingSecret, blobName, expiresInMinutes, false),
+
+    signedWriteUrl: async (blobName, expiresInMinutes) =>
+      generateSignedUrl(baseUrl, signingSecret, blobName, expiresInMinutes, true),
+
+    // One token for the whole directory so HLS segments are covered too
+    signedPrefixReadUrl: async (prefix, fileName, expiresInMinutes) =>
+      generateSignedPrefixUrl(baseUrl, signingSecret, prefix, fileName, expiresInMinutes),
+
+    // Resumable uploads: parts are appended to a part file
+    createMultipart: async () => crypto.randomUUID(),
+
+    async uploadPart(_blobName, { uploadId, offset, stream }) {
+      const file = partPath(uploadId);
+      try {
+        await pipeline(stream, fs.createWriteStream(file, { flags: "a" }));
+      } catch (error) {
+        // Drop a partially written chunk so the offset stays where it was
+        await fs.promises.truncate(file, offset).catch(() => {});
+        throw error;
+      }
+      return String(offset);
+    },
+
+    async completeMultipart(blobName, { uploadId }) {
+      const destination = requirePath(blobName);
+      await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+      await fs.promises.rename(partPath(uploadId), destination);
+      return `${baseUrl}/${blobName}`;
+    },
+
+    abortMultipart: (_blobName, { uploadId }) => fs.promises.rm(partPath(uploadId), { force: true }),
+  };
+}
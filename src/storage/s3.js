@@ -0,0 +1,249 @@
+import fs from "fs";
+import { pipeline } from "stream/promises";
+import {
+  S3Client,
+  CreateBucketCommand,
+  HeadBucketCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { generateSignedPrefixUrl } from "../signedUrls.js";
+
+/**
+ * S3-compatible object storage driver (AWS S3, MinIO, ...)
+ * @param {object} options
+ * @param {string} options.bucket
+ * @param {string} [options.endpoint] - Custom endpoint, e.g. http://minio:9000
+ * @param {string} [options.region]
+ * @param {string} [options.accessKeyId] - Falls back to the default AWS credential chain
+ * @param {string} [options.secretAccessKey]
+ * @param {boolean} [options.forcePathStyle] - Required for MinIO
+ * @param {string} [options.publicUrl] - Base URL for unsigned object URLs
+ * @param {{ baseUrl: string, signingSecret: string }} options.playlists - Service route that
+ *   serves HLS playlists with signed segment URLs (`/api/hls`) and the secret of its tokens
+ */
+export function createS3Storage({
+  bucket,
+  endpoint,
+  region = "us-east-1",
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  publicUrl,
+  playlists,
+}) {
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  const baseUrl =
+    publicUrl ||
+    (endpoint ? `${endpoint.replace(/\/$/, "")}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`);
+  const url = (key) => `${baseUrl}/${key.split("/").map(encodeURIComponent).join("/")}`;
+
+  // Create the bucket on first write, like the Azure driver's createIfNotExists
+  let bucketReady;
+  function ensureBucket() {
+    if (!bucketReady) {
+      bucketReady = client.send(new HeadBucketCommand({ Bucket: bucket })).catch(async (error) => {
+        if (error.$metadata?.httpStatusCode !== 404) {
+          throw error;
+        }
+        await client.send(new CreateBucketCommand({ Bucket: bucket }));
+      });
+      // Retry on the next call if this attempt failed
+      bucketReady.catch(() => {
+        bucketReady = undefined;
+      });
+    }
+    return bucketReady;
+  }
+
+  async function putStream(key, stream, { contentType } = {}) {
+    await ensureBucket();
+    const upload = new Upload({
+      client,
+      params: { Bucket: bucket, Key: key, Body: stream, ContentType: contentType },
+    });
+    await upload.done();
+    return url(key);
+  }
+
+  async function getStream(key, { start, end } = {}) {
+    const range = start !== undefined ? `bytes=${start}-${end ?? ""}` : undefined;
+    const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: range }));
+    return response.Body;
+  }
+
+  return {
+    name: "s3",
+    container: bucket,
+    // S3 rejects multipart parts below 5 MiB, except for the last one
+    minPartSize: 5 * 1024 * 1024,
+
+    url,
+
+    putFile: (key, filePath, contentType) => putStream(key, fs.createReadStream(filePath), { contentType }),
+
+    putStream,
+
+    getStream,
+
+    async readRange(key, offset, count) {
+      const chunks = [];
+      try {
+        for await (const chunk of await getStream(key, { start: offset, end: offset + count - 1 })) {
+          chunks.push(chunk);
+        }
+      } catch (error) {
+        // Range beyond the end of the object
+        if (error.$metadata?.httpStatusCode === 416) {
+          return Buffer.alloc(0);
+        }
+        throw error;
+      }
+      return Buffer.concat(chunks);
+    },
+
+    async downloadToFile(key, filePath) {
+      await pipeline(await getStream(key), fs.createWriteStream(filePath));
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (error.$metadata?.httpStatusCode === 404) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async size(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return head.ContentLength;
+      } catch (error) {
+        if (error.$metadata?.httpStatusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    // ETags of multipart objects are not MD5 digests, and objects cannot be
+    // changed in place; the checksums are kept in the database only
+    setContentMd5: async () => {},
+
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async deletePrefix(prefix) {
+      let continuationToken;
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: continuationToken })
+        );
+        const objects = (page.Contents || []).map(({ Key }) => ({ Key }));
+        if (objects.length > 0) {
+          await client.send(new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: objects } }));
+        }
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+    },
+
+    async *list(prefix = "") {
+      let continuationToken;
+      do {
+        let page;
+        try {
+          page = await client.send(
+            new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix || undefined, ContinuationToken: continuationToken })
+          );
+        } catch (error) {
+          // No bucket yet means no objects
+          if (error.name === "NoSuchBucket") {
+            return;
+          }
+          throw error;
+        }
+        for (const object of page.Contents || []) {
+          yield { name: object.Key, size: object.Size, lastModified: object.LastModified };
+        }
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+    },
+
+    signedReadUrl: (key, expiresInMinutes) =>
+      getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), {
+        expiresIn: Math.round(expiresInMinutes * 60),
+      }),
+
+    async signedWriteUrl(key, expiresInMinutes) {
+      await ensureBucket();
+      return getSignedUrl(client, new PutObjectCommand({ Bucket: bucket, Key: key }), {
+        expiresIn: Math.round(expiresInMinutes * 60),
+      });
+    },
+
+    // Presigned URLs cover a single object, so HLS playlists are served by
+    // the service, which presigns every segment they list
+    signedPrefixReadUrl: async (prefix, fileName, expiresInMinutes) =>
+      generateSignedPrefixUrl(playlists.baseUrl, playlists.signingSecret, prefix, fileName, expiresInMinutes),
+
+    // Resumable uploads map onto S3 multipart uploads (part numbers start at 1)
+    async createMultipart(key, contentType) {
+      await ensureBucket();
+      const response = await client.send(
+        new CreateMultipartUploadCommand({ Bucket: bucket, Key: key, ContentType: contentType })
+      );
+      return response.UploadId;
+    },
+
+    async uploadPart(key, { uploadId, partNumber, stream, contentLength }) {
+      const response = await client.send(
+        new UploadPartCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+          PartNumber: partNumber + 1,
+          Body: stream,
+          ContentLength: contentLength,
+        })
+      );
+      return response.ETag;
+    },
+
+    async completeMultipart(key, { uploadId, parts }) {
+      await client.send(
+        new CompleteMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+          MultipartUpload: { Parts: parts.map((ETag, i) => ({ ETag, PartNumber: i + 1 })) },
+        })
+      );
+      return url(key);
+    },
+
+    abortMultipart: async (key, { uploadId }) => {
+      await client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId: uploadId }));
+    },
+  };
+}
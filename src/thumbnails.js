@@ -0,0 +1,151 @@
+import path from "path";
+import { seekArgs } from "./clips.js";
+
+/**
+ * Poster frame, thumbnail and sprite-sheet generation.
+ *
+ * For every encoded upload the worker stores, next to the source blob under
+ * `<baseName>/thumbnails/`:
+ * - `poster.jpg`         one large frame for the lecture listing
+ * - `thumb_0000.jpg`...  one frame every `interval` seconds
+ * - `sprite.jpg`         the same frames as small tiles in a grid
+ * - `thumbnails.vtt`     a WebVTT track mapping time ranges to sprite tiles
+ *                        (`sprite.jpg#xywh=x,y,w,h`) for scrub previews
+ */
+
+export const POSTER_FILE = "poster.jpg";
+export const SPRITE_FILE = "sprite.jpg";
+export const THUMBNAILS_VTT_FILE = "thumbnails.vtt";
+
+const POSTER_WIDTH = 1280;
+const THUMBNAIL_WIDTH = 320;
+const TILE_WIDTH = 160;
+const TILE_HEIGHT = 90;
+const SPRITE_COLUMNS = 10;
+
+// Where in the video the poster frame is taken; the first seconds of a
+// recording are often a blank screen
+const POSTER_POSITION = 0.1;
+
+/**
+ * Blob prefix of the thumbnail output for a source blob, e.g.
+ * `lecture_123_talk.mp4` -> `lecture_123_talk/thumbnails`
+ */
+export function thumbnailPrefix(blobName) {
+  return `${blobName.replace(/\.[^.]+$/, "")}/thumbnails`;
+}
+
+/**
+ * File name of the n-th thumbnail (0-based)
+ */
+export function thumbnailFile(index) {
+  return `thumb_${String(index).padStart(4, "0")}.jpg`;
+}
+
+/**
+ * Choose the thumbnail interval and count for a video. The interval is
+ * widened for long videos so that at most `maxCount` thumbnails are made.
+ * @param {number} duration - Seconds
+ * @param {object} options
+ * @param {number} options.interval - Preferred seconds between thumbnails
+ * @param {number} options.maxCount
+ * @returns {{ interval: number, count: number }}
+ */
+export function thumbnailPlan(duration, { interval, maxCount }) {
+  const effectiveInterval = Math.max(interval, Math.ceil(duration / maxCount));
+  return {
+    interval: effectiveInterval,
+    count: Math.max(1, Math.ceil(duration / effectiveInterval)),
+  };
+}
+
+/**
+ * Build ffmpeg arguments that extract the poster frame
+ * @param {string} inputPath
+ * @param {string} outputDir
+ * @param {number} duration - Seconds (of the trimmed range, with a trim)
+ * @param {{ start?: number | null }} [trim] - Range the thumbnails cover
+ */
+export function buildPosterArgs(inputPath, outputDir, duration, trim = {}) {
+  return [
+    "-hide_banner", "-y",
+    "-ss", ((trim.start ?? 0) + duration * POSTER_POSITION).toFixed(3),
+    "-i", inputPath,
+    "-frames:v", "1",
+    "-vf", `scale='min(${POSTER_WIDTH},iw)':-2`,
+    "-q:v", "3",
+    path.join(outputDir, POSTER_FILE),
+  ];
+}
+
+/**
+ * Build ffmpeg arguments that write the thumbnails and the sprite sheet in a
+ * single pass. Tiles are letterboxed to a fixed size so the VTT coordinates
+ * do not depend on the source aspect ratio.
+ * @param {string} inputPath
+ * @param {string} outputDir
+ * @param {{ interval: number, count: number }} plan
+ * @param {{ start?: number | null, end?: number | null }} [trim] - Range the thumbnails cover
+ */
+export function buildThumbnailArgs(inputPath, outputDir, { interval, count }, trim = {}) {
+  // One spare row in case ffmpeg emits a frame more than planned
+  const rows = Math.ceil((count + 1) / SPRITE_COLUMNS);
+  const filter = [
+    `[0:v]fps=1/${interval},split=2[t][s]`,
+    `[t]scale=${THUMBNAIL_WIDTH}:-2[thumbs]`,
+    `[s]scale=${TILE_WIDTH}:${TILE_HEIGHT}:force_original_aspect_ratio=decrease,` +
+      `pad=${TILE_WIDTH}:${TILE_HEIGHT}:(ow-iw)/2:(oh-ih)/2,tile=${SPRITE_COLUMNS}x${rows}[sprite]`,
+  ].join(";");
+
+  return [
+    "-hide_banner", "-y",
+    ...seekArgs(trim),
+    "-i", inputPath,
+    "-filter_complex", filter,
+    "-map", "[thumbs]", "-start_number", "0", "-q:v", "4",
+    path.join(outputDir, "thumb_%04d.jpg"),
+    "-map", "[sprite]", "-frames:v", "1", "-q:v", "4",
+    path.join(outputDir, SPRITE_FILE),
+  ];
+}
+
+/**
+ * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+ */
+export function formatVttTimestamp(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+}
+
+/**
+ * Build the WebVTT thumbnail track. Each cue points at one sprite tile.
+ * @param {object} options
+ * @param {number} options.count - Number of tiles in the sprite
+ * @param {number} options.interval - Seconds per tile
+ * @param {number} options.duration - Video duration in seconds
+ * @param {string} [options.spriteUrl] - Sprite reference, relative by default
+ * @returns {string}
+ */
+export function buildThumbnailVtt({ count, interval, duration, spriteUrl = SPRITE_FILE }) {
+  const lines = ["WEBVTT", ""];
+  for (let i = 0; i < count; i++) {
+    const start = i * interval;
+    const end = Math.min((i + 1) * interval, duration);
+    if (start >= end) {
+      break;
+    }
+    const x = (i % SPRITE_COLUMNS) * TILE_WIDTH;
+    const y = Math.floor(i / SPRITE_COLUMNS) * TILE_HEIGHT;
+    lines.push(
+      `${formatVttTimestamp(start)} --> ${formatVttTimestamp(end)}`,
+      `${spriteUrl}#xywh=${x},${y},${TILE_WIDTH},${TILE_HEIGHT}`,
+      ""
+    );
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,210 @@
+/**
+ * HTTP client of the transcription service.
+ *
+ * Every request has a timeout and is retried with exponential backoff when
+ * the failure may go away by itself (network errors, timeouts, 429 and 5xx
+ * responses). A circuit breaker stops calling the service after repeated
+ * failures: while it is open, calls fail at once with CircuitOpenError, and
+ * after `resetTimeoutMs` a single trial call decides whether it closes again.
+ *
+ * Submissions carry the transcription job's ID as `Idempotency-Key`, so a
+ * retried submission the service already accepted can be recognized.
+ */
+
+export class TranscriptionServiceError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {number | null} [options.status] - HTTP status of the response, if any
+   * @param {boolean} [options.retryable] - Whether trying again later may succeed
+   */
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+export class CircuitOpenError extends TranscriptionServiceError {
+  /**
+   * @param {Date} retryAt - When the breaker lets a trial call through
+   */
+  constructor(retryAt) {
+    super("Transcription service is unavailable (circuit open)", { retryable: true });
+    this.retryAt = retryAt;
+  }
+}
+
+export const CIRCUIT_STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+};
+
+/**
+ * Create a circuit breaker. Only failures that indicate an outage (retryable
+ * errors) count; a service that answers with a 4xx is up.
+ * @param {object} [options]
+ * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+ * @param {number} [options.resetTimeoutMs] - How long the circuit stays open
+ */
+export function createCircuitBreaker({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+  let failures = 0;
+  let openedAt = null;
+  let trialRunning = false;
+
+  const state = () => {
+    if (openedAt === null) {
+      return CIRCUIT_STATES.CLOSED;
+    }
+    return Date.now() - openedAt < resetTimeoutMs ? CIRCUIT_STATES.OPEN : CIRCUIT_STATES.HALF_OPEN;
+  };
+
+  return {
+    get state() {
+      return state();
+    },
+
+    /**
+     * Run `fn` unless the circuit is open
+     * @template T
+     * @param {() => Promise<T>} fn
+     * @returns {Promise<T>}
+     */
+    async call(fn) {
+      const current = state();
+      if (current === CIRCUIT_STATES.OPEN || (current === CIRCUIT_STATES.HALF_OPEN && trialRunning)) {
+        throw new CircuitOpenError(new Date(openedAt + resetTimeoutMs));
+      }
+      const trial = current === CIRCUIT_STATES.HALF_OPEN;
+      trialRunning = trial;
+      try {
+        const result = await fn();
+        failures = 0;
+        openedAt = null;
+        return result;
+      } catch (error) {
+        if (!error.retryable) {
+          failures = 0;
+          openedAt = null;
+        } else if (trial || ++failures >= failureThreshold) {
+          openedAt = Date.now();
+        }
+        throw error;
+      } finally {
+        if (trial) {
+          trialRunning = false;
+        }
+      }
+    },
+  };
+}
+
+const RETRY_BASE_MS = 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create a transcription service client
+ * @param {object} options
+ * @param {string} options.baseUrl - e.g. the gateway URL; paths start with /api/transcriptions
+ * @param {string} [options.apiKey] - Sent as `x-service-key` (calls without a user's token)
+ * @param {number} [options.timeoutMs] - Per request
+ * @param {number} [options.retries] - Retries of a failed request
+ * @param {ReturnType<typeof createCircuitBreaker>} [options.breaker]
+ * @param {Console} [options.logger]
+ */
+export function createTranscriptionClient({
+  baseUrl,
+  apiKey = "",
+  timeoutMs = 10000,
+  retries = 2,
+  breaker = createCircuitBreaker(),
+  logger = console,
+}) {
+  async function send(method, path, { body, authorization, idempotencyKey }) {
+    const headers = { Accept: "application/json" };
+    if (body !== undefined) {
+      headers["Content-Type"] = "application/json";
+    }
+    if (authorization) {
+      headers["Authorization"] = authorization;
+    }
+    if (apiKey) {
+      headers["x-service-key"] = apiKey;
+    }
+    if (idempotencyKey) {
+      headers["Idempotency-Key"] = idempotencyKey;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      const message =
+        error.name === "TimeoutError"
+          ? `Transcription service did not respond within ${timeoutMs} ms`
+          : `Transcription service is unreachable: ${error.cause?.message ?? error.message}`;
+      throw new TranscriptionServiceError(message, { retryable: true });
+    }
+    if (!response.ok) {
+      throw new TranscriptionServiceError(
+        `Transcription service responded with ${response.status} ${response.statusText}`,
+        { status: response.status, retryable: response.status === 429 || response.status >= 500 }
+      );
+    }
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  async function request(method, path, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await breaker.call(() => send(method, path, options));
+      } catch (error) {
+        if (error instanceof CircuitOpenError || !error.retryable || attempt >= retries) {
+          throw error;
+        }
+        const delay = Math.round(RETRY_BASE_MS * 2 ** attempt * (0.8 + Math.random() * 0.4));
+        logger.warn(`[TRANSCRIPTION] ${method} ${path} failed (${error.message}), retrying in ${delay} ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    breaker,
+
+    /**
+     * Submit a transcription job
+     * @param {object} job - Request body
+     * @param {{ authorization?: string, idempotencyKey?: string }} [options]
+     * @returns {Promise<{ job_id: string }>}
+     */
+    submit(job, options) {
+      return request("POST", "/api/transcriptions", { ...options, body: job });
+    },
+
+    /**
+     * Get the state of a job
+     * @param {string} jobId - Job ID of the transcription service
+     * @param {{ authorization?: string }} [options]
+     */
+    get(jobId, options) {
+      return request("GET", `/api/transcriptions/${encodeURIComponent(jobId)}`, options);
+    },
+
+    /**
+     * Cancel a job
+     * @param {string} jobId - Job ID of the transcription service
+     */
+    cancel(jobId) {
+      return request("DELETE", `/api/transcriptions/${encodeURIComponent(jobId)}`);
+    },
+  };
+}
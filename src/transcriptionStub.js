@@ -0,0 +1,199 @@
+import express from "express";
+import crypto from "crypto";
+import { env, splitList } from "./config.js";
+import { signWebhook } from "./webhooks.js";
+import { formatVtt } from "./captions.js";
+
+/**
+ * Stand-in for the transcription service, for local development and tests:
+ *
+ *   npm run transcription-stub
+ *
+ * Implements the service's API (`POST`, `GET` and `DELETE
+ * /api/transcriptions`). An accepted job reads the start of the video, writes
+ * a short placeholder transcript to the upload URLs and reports its progress
+ * through signed webhook callbacks, like the real service. Point svc-video at
+ * it with TRANSCRIPTION_SERVICE_URL and give both the same
+ * TRANSCRIPTION_WEBHOOK_SECRETS.
+ *
+ * Failures can be simulated: TRANSCRIPTION_STUB_FAILURE_RATE is the share of
+ * requests answered with 503, TRANSCRIPTION_STUB_DELAY_MS delays every
+ * response (beyond the client's timeout, it looks like an unresponsive
+ * service) and a job whose language is `xx` fails.
+ */
+
+const PORT = Number(env("TRANSCRIPTION_STUB_PORT", "8090"));
+const WEBHOOK_URL = env("TRANSCRIPTION_STUB_WEBHOOK_URL", "http://localhost:3000/api/webhooks/transcription");
+const WEBHOOK_SECRET = splitList(env("TRANSCRIPTION_WEBHOOK_SECRETS", ""))[0] ?? "";
+const JOB_SECONDS = Number(env("TRANSCRIPTION_STUB_JOB_SECONDS", "5"));
+const FAILURE_RATE = Number(env("TRANSCRIPTION_STUB_FAILURE_RATE", "0"));
+const DELAY_MS = Number(env("TRANSCRIPTION_STUB_DELAY_MS", "0"));
+
+const REQUIRED_FIELDS = [
+  "lecture_id",
+  "video_url",
+  "json_upload_url",
+  "json_blob_name",
+  "vtt_upload_url",
+  "vtt_blob_name",
+  "language",
+];
+
+// Jobs by ID, and job IDs by idempotency key
+const jobs = new Map();
+const jobsByKey = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Send a signed status callback; failed deliveries are logged, not retried
+async function sendCallback(job, body) {
+  const rawBody = JSON.stringify({ job_id: job.id, ...body });
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await fetch(WEBHOOK_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "webhook-id": crypto.randomUUID(),
+        "webhook-timestamp": String(timestamp),
+        "webhook-signature": signWebhook(WEBHOOK_SECRET, timestamp, rawBody),
+      },
+      body: rawBody,
+      signal: AbortSignal.timeout(10000),
+    });
+    console.log(`[STUB] Callback ${job.id} ${body.status}: ${response.status}`);
+  } catch (error) {
+    console.error(`[STUB] Callback ${job.id} ${body.status} failed: ${error.message}`);
+  }
+}
+
+async function putFile(url, contentType, content) {
+  const response = await fetch(url, {
+    method: "PUT",
+    // Azure needs the blob type; other stores ignore the header
+    headers: { "Content-Type": contentType, "x-ms-blob-type": "BlockBlob" },
+    body: content,
+    signal: AbortSignal.timeout(30000),
+  });
+  if (!response.ok) {
+    throw new Error(`Writing ${url.split("?")[0]} failed: ${response.status}`);
+  }
+}
+
+// Run a job: read the start of the video and write a placeholder transcript
+async function runJob(job) {
+  await sleep((JOB_SECONDS * 1000) / 2);
+  if (job.status === "cancelled") {
+    return;
+  }
+  job.status = "processing";
+  await sendCallback(job, { status: "processing" });
+
+  await sleep((JOB_SECONDS * 1000) / 2);
+  if (job.status === "cancelled") {
+    return;
+  }
+  try {
+    if (job.request.language === "xx") {
+      throw new Error("Unsupported language: xx");
+    }
+    const video = await fetch(job.request.video_url, {
+      headers: { Range: "bytes=0-1023" },
+      signal: AbortSignal.timeout(30000),
+    });
+    if (!video.ok) {
+      throw new Error(`Reading the video failed: ${video.status}`);
+    }
+    await video.arrayBuffer();
+
+    const segments = [
+      { start: 0, end: 4, text: `Placeholder transcript of lecture ${job.request.lecture_id}.` },
+      { start: 4, end: 8, text: `Language: ${job.request.language}.` },
+    ];
+    await putFile(job.request.json_upload_url, "application/json", JSON.stringify({ segments }));
+    await putFile(job.request.vtt_upload_url, "text/vtt", formatVtt(segments));
+
+    job.status = "completed";
+    await sendCallback(job, {
+      status: "completed",
+      language: job.request.language,
+      transcript_json_blob: job.request.json_blob_name,
+      transcript_vtt_blob: job.request.vtt_blob_name,
+    });
+  } catch (error) {
+    job.status = "failed";
+    job.error = error.message;
+    await sendCallback(job, { status: "failed", error: error.message });
+  }
+}
+
+const app = express();
+app.use(express.json());
+
+// Simulated latency and outages
+app.use(async (_req, res, next) => {
+  if (DELAY_MS > 0) {
+    await sleep(DELAY_MS);
+  }
+  if (Math.random() < FAILURE_RATE) {
+    return res.status(503).json({ error: "Simulated outage" });
+  }
+  next();
+});
+
+app.post("/api/transcriptions", (req, res) => {
+  const missing = REQUIRED_FIELDS.filter((field) => typeof req.body?.[field] !== "string");
+  if (missing.length > 0) {
+    return res.status(400).json({ error: `Missing fields: ${missing.join(", ")}` });
+  }
+
+  // A retried submission gets the job of the first one
+  const key = req.headers["idempotency-key"];
+  if (key && jobsByKey.has(key)) {
+    const job = jobs.get(jobsByKey.get(key));
+    return res.status(202).json({ job_id: job.id, status: job.status });
+  }
+
+  const job = { id: crypto.randomUUID(), status: "pending", error: null, request: req.body };
+  jobs.set(job.id, job);
+  if (key) {
+    jobsByKey.set(key, job.id);
+  }
+  console.log(`[STUB] Job ${job.id} accepted (${job.request.language})`);
+  runJob(job);
+  res.status(202).json({ job_id: job.id, status: job.status });
+});
+
+app.get("/api/transcriptions/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json({
+    job_id: job.id,
+    status: job.status,
+    error: job.error,
+    transcript_json_blob: job.status === "completed" ? job.request.json_blob_name : null,
+    transcript_vtt_blob: job.status === "completed" ? job.request.vtt_blob_name : null,
+  });
+});
+
+app.delete("/api/transcriptions/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (job.status === "pending" || job.status === "processing") {
+    job.status = "cancelled";
+    console.log(`[STUB] Job ${job.id} cancelled`);
+  }
+  res.status(204).end();
+});
+
+if (!WEBHOOK_SECRET) {
+  console.warn("[STUB] TRANSCRIPTION_WEBHOOK_SECRETS is not set, callbacks will be rejected");
+}
+app.listen(PORT, () => {
+  console.log(`Transcription stub listening on port ${PORT}`);
+  console.log(`Callbacks go to ${WEBHOOK_URL}`);
+});
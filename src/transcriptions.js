@@ -0,0 +1,406 @@
+import crypto from "crypto";
+import { JOB_STATUS } from "./webhooks.js";
+import { EVENT_TYPES, recordEvent } from "./events/index.js";
+import { retryDelayMs } from "./events/dispatcher.js";
+import { CircuitOpenError, TranscriptionServiceError } from "./transcriptionClient.js";
+
+/**
+ * Transcription jobs.
+ *
+ * Every transcription run of an upload is a TranscriptionJob row; the
+ * transcription fields of the upload mirror its current (latest) job. A job
+ * goes through these statuses:
+ * - `queued`      not accepted by the transcription service yet
+ * - `pending`     accepted, waiting for the service to start
+ * - `processing`  running (reported by the transcription webhook)
+ * - `completed` / `failed`  reported by the webhook
+ * - `cancelled`   cancelled through the API; later callbacks are ignored
+ *
+ * A job is submitted when it is requested. If the service cannot be reached
+ * (after the client's own retries, or while its circuit breaker is open) the
+ * job stays queued and the transcription worker submits it again with
+ * backoff, until it fails after `maxAttempts` submissions. Rejections (4xx)
+ * fail it at once.
+ *
+ * The service gets signed URLs to read the video and write the outputs, each
+ * job to its own files below `<name>/transcripts/`, so earlier runs stay
+ * available. The URLs are valid for a multiple of the video's duration, and
+ * a job that has not finished when they expire is failed.
+ */
+
+export const TRANSCRIPTION_JOB_STATUS = {
+  QUEUED: "queued",
+  PENDING: JOB_STATUS.PENDING,
+  PROCESSING: JOB_STATUS.PROCESSING,
+  COMPLETED: JOB_STATUS.COMPLETED,
+  FAILED: JOB_STATUS.FAILED,
+  CANCELLED: "cancelled",
+};
+
+export const ACTIVE_JOB_STATUSES = [
+  TRANSCRIPTION_JOB_STATUS.QUEUED,
+  TRANSCRIPTION_JOB_STATUS.PENDING,
+  TRANSCRIPTION_JOB_STATUS.PROCESSING,
+];
+
+// A job being submitted is left alone by the worker for this long, and picked
+// up by it if the submitting request never finishes
+export const SUBMIT_LEASE_MS = 2 * 60 * 1000;
+
+/**
+ * Lifetime of a job's signed URLs: `durationFactor` times the duration of
+ * the video, within the bounds; the maximum if the duration is not known
+ * @param {number | null} duration - Seconds
+ * @param {{ minMinutes: number, maxMinutes: number, durationFactor: number }} options
+ * @returns {number} Minutes
+ */
+export function transcriptionUrlMinutes(duration, { minMinutes, maxMinutes, durationFactor }) {
+  if (!duration) {
+    return maxMinutes;
+  }
+  return Math.min(maxMinutes, Math.max(minMinutes, Math.ceil((duration / 60) * durationFactor)));
+}
+
+/**
+ * Output files of a job
+ * @param {{ blob_name: string }} upload
+ * @param {string} jobId
+ */
+export function transcriptOutputBlobs(upload, jobId) {
+  const prefix = `${upload.blob_name.replace(/\.[^.]+$/, "")}/transcripts/${jobId}`;
+  return { transcript_json_blob: `${prefix}.json`, transcript_vtt_blob: `${prefix}.vtt` };
+}
+
+/**
+ * Transcription fields of an upload whose current job is `job`; null to
+ * clear them
+ * @param {object | null} job - TranscriptionJob row
+ */
+export function uploadTranscriptionFields(job) {
+  const completed = job?.status === TRANSCRIPTION_JOB_STATUS.COMPLETED;
+  return {
+    transcription_job_id: job?.id ?? null,
+    // Clients of the upload only know the webhook statuses
+    transcription_status: job?.status === TRANSCRIPTION_JOB_STATUS.QUEUED ? JOB_STATUS.PENDING : (job?.status ?? null),
+    transcription_language: job?.language ?? null,
+    transcription_error: job?.error ?? null,
+    transcript_json_blob: completed ? job.transcript_json_blob : null,
+    transcript_vtt_blob: completed ? job.transcript_vtt_blob : null,
+  };
+}
+
+/**
+ * Transcription fields added to the data of transcription events
+ * @param {object} upload
+ */
+export function transcriptionEventData(upload) {
+  return {
+    job_id: upload.transcription_job_id,
+    language: upload.transcription_language,
+    error: upload.transcription_error,
+  };
+}
+
+/**
+ * Mirror a job's status onto its upload, if it is still the upload's
+ * current job, and record the event
+ * @param {object} tx - Prisma transaction client
+ * @param {object} job - TranscriptionJob row after the change
+ * @param {string} eventType - One of EVENT_TYPES
+ * @returns {Promise<object | null>} The updated upload, null if the job is not current
+ */
+export async function syncUploadTranscription(tx, job, eventType) {
+  const { count } = await tx.videoUpload.updateMany({
+    where: { id: job.upload_id, transcription_job_id: job.id },
+    data: uploadTranscriptionFields(job),
+  });
+  if (count === 0) {
+    return null;
+  }
+  const upload = await tx.videoUpload.findUnique({ where: { id: job.upload_id } });
+  await recordEvent(tx, eventType, upload, transcriptionEventData(upload));
+  return upload;
+}
+
+/**
+ * Create a queued job for an upload and make it the upload's current job.
+ * An upload has at most one active job.
+ * @param {import("@prisma/client").PrismaClient} prisma
+ * @param {object} upload
+ * @param {object} options
+ * @param {string} options.language
+ * @param {string | null} [options.requestedBy] - User ID
+ * @param {string | null} [options.rerunOf] - Job the new one re-runs
+ * @param {Date} [options.submitAt] - When the worker submits the job if it has not been submitted by then
+ * @returns {Promise<object | null>} The job, null if a transcription of the upload is in progress
+ */
+export function queueTranscription(
+  prisma,
+  upload,
+  { language, requestedBy = null, rerunOf = null, submitAt = new Date() }
+) {
+  const id = crypto.randomUUID();
+  return prisma.$transaction(async (tx) => {
+    const claimed = await tx.videoUpload.updateMany({
+      where: {
+        id: upload.id,
+        OR: [
+          { transcription_status: null },
+          { transcription_status: { notIn: [JOB_STATUS.PENDING, JOB_STATUS.PROCESSING] } },
+        ],
+      },
+      data: uploadTranscriptionFields({ id, status: TRANSCRIPTION_JOB_STATUS.QUEUED, language }),
+    });
+    if (claimed.count === 0) {
+      return null;
+    }
+    const created = await tx.transcriptionJob.create({
+      data: {
+        id,
+        upload_id: upload.id,
+        lecture_id: upload.lecture_id,
+        language,
+        ...transcriptOutputBlobs(upload, id),
+        requested_by: requestedBy,
+        rerun_of: rerunOf,
+        next_attempt_at: submitAt,
+      },
+    });
+    const updated = await tx.videoUpload.findUnique({ where: { id: upload.id } });
+    await recordEvent(tx, EVENT_TYPES.TRANSCRIPTION_REQUESTED, updated, transcriptionEventData(updated));
+    return created;
+  });
+}
+
+/**
+ * Submitting, cancelling and expiring transcription jobs
+ * @param {object} options
+ * @param {import("@prisma/client").PrismaClient} options.prisma
+ * @param {import("./storage/index.js").StorageDriver} options.storage
+ * @param {ReturnType<import("./transcriptionClient.js").createTranscriptionClient>} options.client
+ * @param {number} options.maxAttempts - Submissions before a job fails
+ * @param {{ minMinutes: number, maxMinutes: number, durationFactor: number }} options.urlLifetime
+ * @param {Console} [options.logger]
+ */
+export function createTranscriptionJobs({ prisma, storage, client, maxAttempts, urlLifetime, logger = console }) {
+  // Fail a job that is still in `fromStatuses` and update its upload
+  async function failJob(job, fromStatuses, data) {
+    return prisma.$transaction(async (tx) => {
+      const { count } = await tx.transcriptionJob.updateMany({
+        where: { id: job.id, status: { in: fromStatuses } },
+        data: { ...data, status: TRANSCRIPTION_JOB_STATUS.FAILED, finished_at: new Date() },
+      });
+      if (count === 0) {
+        return null;
+      }
+      const failed = await tx.transcriptionJob.findUnique({ where: { id: job.id } });
+      await syncUploadTranscription(tx, failed, EVENT_TYPES.TRANSCRIPTION_FAILED);
+      return failed;
+    });
+  }
+
+  /**
+   * Submit a queued job to the transcription service
+   * @param {object} job - Queued TranscriptionJob row
+   * @param {object} upload
+   * @param {{ authorization?: string }} [options] - The requesting user's token, if any
+   * @returns {Promise<object>} The job after the attempt
+   */
+  async function submit(job, upload, { authorization } = {}) {
+    const minutes = transcriptionUrlMinutes(upload.duration, urlLifetime);
+    const [videoUrl, jsonUploadUrl, vttUploadUrl] = await Promise.all([
+      storage.signedReadUrl(upload.blob_name, minutes),
+      storage.signedWriteUrl(job.transcript_json_blob, minutes),
+      storage.signedWriteUrl(job.transcript_vtt_blob, minutes),
+    ]);
+    const attempts = job.attempts + 1;
+
+    try {
+      const result = await client.submit(
+        {
+          lecture_id: job.lecture_id,
+          video_url: videoUrl,
+          video_blob_name: upload.blob_name,
+          json_upload_url: jsonUploadUrl,
+          json_blob_name: job.transcript_json_blob,
+          vtt_upload_url: vttUploadUrl,
+          vtt_blob_name: job.transcript_vtt_blob,
+          language: job.language,
+        },
+        { authorization, idempotencyKey: job.id }
+      );
+      if (typeof result?.job_id !== "string" || result.job_id === "") {
+        throw new TranscriptionServiceError("Transcription service returned no job_id");
+      }
+
+      const now = new Date();
+      const { count } = await prisma.transcriptionJob.updateMany({
+        where: { id: job.id, status: TRANSCRIPTION_JOB_STATUS.QUEUED },
+        data: {
+          status: TRANSCRIPTION_JOB_STATUS.PENDING,
+          external_job_id: result.job_id,
+          attempts,
+          error: null,
+          next_attempt_at: null,
+          submitted_at: now,
+          urls_expire_at: new Date(now.getTime() + minutes * 60 * 1000),
+        },
+      });
+      // Cancelled while it was being submitted
+      if (count === 0) {
+        await client.cancel(result.job_id).catch((error) => {
+          logger.warn(`[TRANSCRIPTION] Failed to cancel job ${result.job_id}: ${error.message}`);
+        });
+      }
+    } catch (error) {
+      if (!(error instanceof TranscriptionServiceError)) {
+        throw error;
+      }
+      // The service was not called; the attempt does not count
+      if (error instanceof CircuitOpenError) {
+        await prisma.transcriptionJob.updateMany({
+          where: { id: job.id, status: TRANSCRIPTION_JOB_STATUS.QUEUED },
+          data: { error: error.message, next_attempt_at: error.retryAt },
+        });
+      } else if (!error.retryable || attempts >= maxAttempts) {
+        await failJob(job, [TRANSCRIPTION_JOB_STATUS.QUEUED], { attempts, error: error.message });
+        logger.error(`[TRANSCRIPTION] Job ${job.id} failed (attempt ${attempts}/${maxAttempts}): ${error.message}`);
+      } else {
+        await prisma.transcriptionJob.updateMany({
+          where: { id: job.id, status: TRANSCRIPTION_JOB_STATUS.QUEUED },
+          data: { attempts, error: error.message, next_attempt_at: new Date(Date.now() + retryDelayMs(attempts)) },
+        });
+        logger.warn(`[TRANSCRIPTION] Submitting job ${job.id} failed (attempt ${attempts}/${maxAttempts}): ${error.message}`);
+      }
+    }
+    return prisma.transcriptionJob.findUnique({ where: { id: job.id } });
+  }
+
+  /**
+   * Cancel an active job. The upload falls back to its latest completed job.
+   * @param {object} job
+   * @param {string | null} cancelledBy - User ID
+   * @returns {Promise<object | null>} The cancelled job, null if it was not active
+   */
+  async function cancel(job, cancelledBy) {
+    const cancelled = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.transcriptionJob.updateMany({
+        where: { id: job.id, status: { in: ACTIVE_JOB_STATUSES } },
+        data: {
+          status: TRANSCRIPTION_JOB_STATUS.CANCELLED,
+          cancelled_by: cancelledBy,
+          next_attempt_at: null,
+          finished_at: new Date(),
+        },
+      });
+      if (count === 0) {
+        return null;
+      }
+
+      const previous = await tx.transcriptionJob.findFirst({
+        where: { upload_id: job.upload_id, status: TRANSCRIPTION_JOB_STATUS.COMPLETED },
+        orderBy: { finished_at: "desc" },
+      });
+      const reverted = await tx.videoUpload.updateMany({
+        where: { id: job.upload_id, transcription_job_id: job.id },
+        data: uploadTranscriptionFields(previous),
+      });
+      if (reverted.count > 0) {
+        const upload = await tx.videoUpload.findUnique({ where: { id: job.upload_id } });
+        await recordEvent(tx, EVENT_TYPES.TRANSCRIPTION_CANCELLED, upload, {
+          job_id: job.id,
+          language: job.language,
+          error: null,
+          cancelled_by: cancelledBy,
+        });
+      }
+      return tx.transcriptionJob.findUnique({ where: { id: job.id } });
+    });
+
+    // The job is cancelled here either way; callbacks for it are ignored
+    if (cancelled?.external_job_id) {
+      await client.cancel(cancelled.external_job_id).catch((error) => {
+        logger.warn(`[TRANSCRIPTION] Failed to cancel job ${cancelled.external_job_id} at the service: ${error.message}`);
+      });
+    }
+    return cancelled;
+  }
+
+  // Submit queued jobs that are due, claiming each by moving next_attempt_at
+  async function submitDue() {
+    const due = await prisma.transcriptionJob.findMany({
+      where: { status: TRANSCRIPTION_JOB_STATUS.QUEUED, next_attempt_at: { lte: new Date() } },
+      orderBy: { next_attempt_at: "asc" },
+      take: 20,
+    });
+    for (const job of due) {
+      const claimed = await prisma.transcriptionJob.updateMany({
+        where: { id: job.id, status: TRANSCRIPTION_JOB_STATUS.QUEUED, next_attempt_at: job.next_attempt_at },
+        data: { next_attempt_at: new Date(Date.now() + SUBMIT_LEASE_MS) },
+      });
+      if (claimed.count === 0) {
+        continue;
+      }
+      const upload = await prisma.videoUpload.findFirst({ where: { id: job.upload_id, deleted_at: null } });
+      if (!upload) {
+        await failJob(job, [TRANSCRIPTION_JOB_STATUS.QUEUED], { error: "The upload was deleted" });
+        continue;
+      }
+      await submit(job, upload);
+    }
+  }
+
+  // Fail jobs whose output URLs expired before they finished
+  async function expireOverdue() {
+    const overdue = await prisma.transcriptionJob.findMany({
+      where: {
+        status: { in: [TRANSCRIPTION_JOB_STATUS.PENDING, TRANSCRIPTION_JOB_STATUS.PROCESSING] },
+        urls_expire_at: { lt: new Date() },
+      },
+      take: 100,
+    });
+    for (const job of overdue) {
+      const failed = await failJob(job, [TRANSCRIPTION_JOB_STATUS.PENDING, TRANSCRIPTION_JOB_STATUS.PROCESSING], {
+        error: "Transcription did not finish before its upload URLs expired",
+      });
+      if (failed) {
+        logger.warn(`[TRANSCRIPTION] Job ${job.id} expired`);
+        await client.cancel(job.external_job_id).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Start the worker that retries queued jobs and expires overdue ones
+   * @param {{ pollIntervalMs?: number }} [options]
+   * @returns {{ stop: () => void }}
+   */
+  function startWorker({ pollIntervalMs = 30000 } = {}) {
+    let stopped = false;
+    let timer;
+
+    async function poll() {
+      try {
+        await submitDue();
+        await expireOverdue();
+      } catch (error) {
+        logger.error("[TRANSCRIPTION] Worker poll failed:", error);
+      }
+      if (!stopped) {
+        timer = setTimeout(poll, pollIntervalMs);
+        timer.unref();
+      }
+    }
+
+    poll();
+
+    return {
+      stop() {
+        stopped = true;
+        clearTimeout(timer);
+      },
+    };
+  }
+
+  return { submit, cancel, startWorker };
+}
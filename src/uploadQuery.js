@@ -0,0 +1,366 @@
+import { JOB_STATUS } from "./webhooks.js";
+import { UPLOAD_STATUS } from "./directUploads.js";
+import { SHA256_PATTERN } from "./checksums.js";
+import { LANGUAGE_PATTERN } from "./captions.js";
+import { normalizeTag } from "./metadata.js";
+
+/**
+ * Query parameters of the cross-lecture upload listing (`GET /api/uploads`).
+ *
+ * Pages are keyset-paginated on the sort field with the upload ID as tie
+ * breaker. The cursor is an opaque base64url token holding the sort and the
+ * last row's sort value and ID, so it stays valid when rows are inserted or
+ * deleted between requests.
+ */
+
+export const DEFAULT_LIST_LIMIT = 25;
+export const MAX_LIST_LIMIT = 100;
+
+// Sortable fields (non-nullable, so they can be used as keyset) and how to
+// turn a cursor value back into a query value
+const SORT_FIELDS = {
+  created_at: (value) => new Date(value),
+  updated_at: (value) => new Date(value),
+  file_size: (value) => BigInt(value),
+  original_filename: (value) => String(value),
+};
+export const LIST_SORT_FIELDS = Object.keys(SORT_FIELDS);
+const DEFAULT_SORT = "-created_at";
+
+// Fields that can be requested with `fields`
+export const LIST_FIELDS = [
+  "id",
+  "lecture_id",
+  "course_id",
+  "user_id",
+  "filename",
+  "original_filename",
+  "title",
+  "description",
+  "language",
+  "tags",
+  "file_size",
+  "mime_type",
+  "sha256",
+  "md5",
+  "checksum_verified_at",
+  "deduplicated_from",
+  "source_upload_id",
+  "clip_start",
+  "clip_end",
+  "clip_method",
+  "trim_start",
+  "trim_end",
+  "part_id",
+  "position",
+  "version",
+  "is_current",
+  "is_primary",
+  "blob_url",
+  "blob_container",
+  "blob_name",
+  "encoding_status",
+  "encoding_error",
+  "hls_url",
+  "duration",
+  "resolution",
+  "width",
+  "height",
+  "frame_rate",
+  "container_format",
+  "video_codec",
+  "audio_codec",
+  "audio_channels",
+  "audio_channel_layout",
+  "bitrate",
+  "probed_at",
+  "thumbnail_count",
+  "thumbnail_interval",
+  "transcription_status",
+  "transcription_language",
+  "transcription_error",
+  "legal_hold",
+  "created_at",
+  "updated_at",
+];
+
+// Fields returned without `fields`
+const DEFAULT_FIELDS = [
+  "id",
+  "lecture_id",
+  "course_id",
+  "user_id",
+  "part_id",
+  "position",
+  "version",
+  "is_current",
+  "is_primary",
+  "original_filename",
+  "title",
+  "language",
+  "tags",
+  "file_size",
+  "mime_type",
+  "encoding_status",
+  "encoding_error",
+  "duration",
+  "resolution",
+  "transcription_status",
+  "created_at",
+  "updated_at",
+];
+
+// Filters on the descriptive metadata, shared with the lecture listing
+const METADATA_FILTER_PARAMS = ["q", "language", "tags"];
+
+// Filter parameters (the others select the page and its fields)
+export const LIST_FILTER_PARAMS = [
+  "lecture_id",
+  "course_id",
+  "user_id",
+  "source_upload_id",
+  "encoding_status",
+  "transcription_status",
+  "mime_type",
+  "sha256",
+  "is_current",
+  "is_primary",
+  "created_after",
+  "created_before",
+  "updated_after",
+  "updated_before",
+  "min_size",
+  "max_size",
+  ...METADATA_FILTER_PARAMS,
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const STATUSES = Object.values(JOB_STATUS);
+
+const splitParam = (value) =>
+  String(value)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+export function encodeCursor(sort, row) {
+  const field = sort.replace(/^-/, "");
+  const value = row[field] instanceof Date ? row[field].toISOString() : String(row[field]);
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id: row.id })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof decoded?.s !== "string" || typeof decoded.v !== "string" || !UUID_PATTERN.test(decoded.id)) {
+      return null;
+    }
+    return decoded;
+  } catch {
+    return null;
+  }
+}
+
+// Parse a date parameter; undefined if absent, null if invalid
+function parseDate(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Parse a size parameter in bytes; undefined if absent, null if invalid
+function parseSize(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * Translate the metadata filters of a listing into a Prisma `where`:
+ * - `q`         words that must all appear in the title or description (any case)
+ * - `language`  comma-separated spoken languages
+ * - `tags`      comma-separated tags that must all be set
+ * @param {object} query - req.query
+ * @returns {{ error: string } | { where: object }}
+ */
+export function parseMetadataFilters(query) {
+  const where = {};
+
+  if (query.q !== undefined) {
+    const words = String(query.q).trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      return { error: "q must not be empty" };
+    }
+    where.AND = words.map((word) => ({
+      OR: [
+        { title: { contains: word, mode: "insensitive" } },
+        { description: { contains: word, mode: "insensitive" } },
+      ],
+    }));
+  }
+
+  if (query.language !== undefined) {
+    const languages = splitParam(query.language);
+    if (languages.length === 0 || languages.some((language) => !LANGUAGE_PATTERN.test(language))) {
+      return { error: 'language must be a comma-separated list of language tags such as "sl" or "en-GB"' };
+    }
+    where.language = { in: languages };
+  }
+
+  if (query.tags !== undefined) {
+    const tags = splitParam(query.tags).map(normalizeTag);
+    if (tags.length === 0 || tags.includes(null)) {
+      return { error: "tags must be a comma-separated list of tags" };
+    }
+    where.tags = { hasEvery: tags };
+  }
+
+  return { where };
+}
+
+/**
+ * Translate listing query parameters into Prisma arguments
+ * @param {object} query - req.query
+ * @returns {{ error: string } | {
+ *   where: object, cursorWhere: object | null, orderBy: object[],
+ *   select: object, fields: string[], take: number, sort: string
+ * }}
+ */
+export function parseUploadListQuery(query) {
+  const where = { deleted_at: null, upload_status: UPLOAD_STATUS.COMPLETED };
+
+  for (const field of ["lecture_id", "course_id", "user_id", "source_upload_id"]) {
+    if (query[field] === undefined) {
+      continue;
+    }
+    const ids = splitParam(query[field]);
+    if (ids.length === 0 || ids.some((id) => !UUID_PATTERN.test(id))) {
+      return { error: `${field} must be a comma-separated list of UUIDs` };
+    }
+    where[field] = { in: ids };
+  }
+
+  for (const field of ["encoding_status", "transcription_status"]) {
+    if (query[field] === undefined) {
+      continue;
+    }
+    const statuses = splitParam(query[field]);
+    if (statuses.length === 0 || statuses.some((status) => !STATUSES.includes(status))) {
+      return { error: `${field} must be a comma-separated list of: ${STATUSES.join(", ")}` };
+    }
+    where[field] = { in: statuses };
+  }
+
+  if (query.mime_type !== undefined) {
+    const types = splitParam(query.mime_type);
+    if (types.length === 0) {
+      return { error: "mime_type must not be empty" };
+    }
+    where.mime_type = { in: types };
+  }
+
+  // Finds copies of the same recording
+  if (query.sha256 !== undefined) {
+    const sha256 = String(query.sha256).toLowerCase();
+    if (!SHA256_PATTERN.test(sha256)) {
+      return { error: "sha256 must be a hex SHA-256 digest" };
+    }
+    where.sha256 = sha256;
+  }
+
+  for (const flag of ["is_current", "is_primary"]) {
+    if (query[flag] === undefined) {
+      continue;
+    }
+    if (query[flag] !== "true" && query[flag] !== "false") {
+      return { error: `${flag} must be true or false` };
+    }
+    where[flag] = query[flag] === "true";
+  }
+
+  // Date ranges: <field>_after is inclusive, <field>_before exclusive
+  for (const field of ["created", "updated"]) {
+    const after = parseDate(query[`${field}_after`]);
+    const before = parseDate(query[`${field}_before`]);
+    if (after === null || before === null) {
+      return { error: `${field}_after and ${field}_before must be ISO 8601 dates` };
+    }
+    if (after || before) {
+      where[`${field}_at`] = { ...(after ? { gte: after } : {}), ...(before ? { lt: before } : {}) };
+    }
+  }
+
+  // Size range in bytes, both inclusive
+  const minSize = parseSize(query.min_size);
+  const maxSize = parseSize(query.max_size);
+  if (minSize === null || maxSize === null) {
+    return { error: "min_size and max_size must be non-negative integers (bytes)" };
+  }
+  if (minSize !== undefined || maxSize !== undefined) {
+    where.file_size = {
+      ...(minSize !== undefined ? { gte: minSize } : {}),
+      ...(maxSize !== undefined ? { lte: maxSize } : {}),
+    };
+  }
+
+  const metadata = parseMetadataFilters(query);
+  if (metadata.error) {
+    return metadata;
+  }
+  Object.assign(where, metadata.where);
+
+  const sort = String(query.sort || DEFAULT_SORT);
+  const sortField = sort.replace(/^-/, "");
+  if (!LIST_SORT_FIELDS.includes(sortField)) {
+    return { error: `sort must be one of: ${LIST_SORT_FIELDS.join(", ")} (prefix with - for descending)` };
+  }
+  const direction = sort.startsWith("-") ? "desc" : "asc";
+
+  let cursorWhere = null;
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(String(query.cursor));
+    if (!cursor) {
+      return { error: "Invalid cursor" };
+    }
+    if (cursor.s !== sort) {
+      return { error: "The cursor belongs to a different sort" };
+    }
+    const value = SORT_FIELDS[sortField](cursor.v);
+    const comparison = direction === "desc" ? "lt" : "gt";
+    cursorWhere = {
+      OR: [
+        { [sortField]: { [comparison]: value } },
+        { [sortField]: value, id: { [comparison]: cursor.id } },
+      ],
+    };
+  }
+
+  let fields = DEFAULT_FIELDS;
+  if (query.fields !== undefined) {
+    fields = splitParam(query.fields);
+    const unknown = fields.filter((field) => !LIST_FIELDS.includes(field));
+    if (fields.length === 0 || unknown.length > 0) {
+      return { error: `Unknown fields: ${unknown.join(", ") || "(none given)"}` };
+    }
+  }
+  // The cursor needs the ID and the sort value of the last row
+  const select = Object.fromEntries([...fields, "id", sortField].map((field) => [field, true]));
+
+  const limit = query.limit === undefined ? DEFAULT_LIST_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIST_LIMIT}` };
+  }
+
+  return {
+    where,
+    cursorWhere,
+    orderBy: [{ [sortField]: direction }, { id: direction }],
+    select,
+    fields,
+    take: limit,
+    sort,
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * Resumable upload session helpers.
+ *
+ * A session is created with the total upload length, the client then PUTs
+ * consecutive byte ranges (`Content-Range: bytes start-end/total`) and finally
+ * finalizes it. Every chunk becomes one part of a storage driver multipart
+ * upload (an Azure block, an S3 part, or an append to a local part file).
+ */
+
+export const SESSION_STATUS = {
+  ACTIVE: "active",
+  FINALIZED: "finalized",
+  ABORTED: "aborted",
+};
+
+/**
+ * Parse a `Content-Range: bytes <start>-<end>/<total>` header
+ * @param {string | undefined} header
+ * @returns {{ start: number, end: number, total: number } | null}
+ */
+export function parseContentRange(header) {
+  if (!header) {
+    return null;
+  }
+  const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(header.trim());
+  if (!match) {
+    return null;
+  }
+  const start = Number(match[1]);
+  const end = Number(match[2]);
+  const total = Number(match[3]);
+  if (end < start || end >= total) {
+    return null;
+  }
+  return { start, end, total };
+}
+
+/**
+ * Public representation of a session
+ */
+export function sessionResponse(session) {
+  return {
+    id: session.id,
+    lecture_id: session.lecture_id,
+    original_filename: session.original_filename,
+    mime_type: session.mime_type,
+    upload_length: Number(session.upload_length),
+    upload_offset: Number(session.upload_offset),
+    status: session.status,
+    video_upload_id: session.video_upload_id,
+    expires_at: session.expires_at,
+    created_at: session.created_at,
+  };
+}
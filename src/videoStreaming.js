@@ -0,0 +1,280 @@
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+
+/**
+ * HTTP streaming of local storage files: byte ranges, validators
+ * (ETag/Last-Modified), conditional requests and HLS playlists.
+ */
+
+const CONTENT_TYPES = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm",
+  ".mkv": "video/x-matroska",
+  ".avi": "video/x-msvideo",
+  ".mpeg": "video/mpeg",
+  ".mpg": "video/mpeg",
+  ".ts": "video/mp2t",
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".vtt": "text/vtt; charset=utf-8",
+  ".srt": "application/x-subrip",
+  ".json": "application/json",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+};
+
+export function contentTypeFor(filePath) {
+  return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+}
+
+/**
+ * ETag derived from size and modification time. Stored files are never
+ * rewritten in place, so this is used as a strong validator (like nginx does).
+ */
+export function computeEtag(stats) {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+// Compare against an ETag list (RFC 9110 8.8.3.2), honouring "*"
+function etagMatches(header, etag, weak) {
+  if (header.trim() === "*") {
+    return true;
+  }
+  return header.split(",").some((candidate) => {
+    const value = candidate.trim();
+    return weak ? value.replace(/^W\//, "") === etag : value === etag;
+  });
+}
+
+// HTTP dates have second precision
+function notModifiedSince(header, mtime) {
+  const since = Date.parse(header);
+  return !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) * 1000 <= since;
+}
+
+/**
+ * Evaluate conditional request headers in the order of RFC 9110 13.2.2
+ * @returns {number | null} 304 or 412 if the request should stop there
+ */
+export function evaluateConditionals(headers, etag, mtime, method) {
+  const ifMatch = headers["if-match"];
+  const ifUnmodifiedSince = headers["if-unmodified-since"];
+  if (ifMatch !== undefined) {
+    if (!etagMatches(ifMatch, etag, false)) {
+      return 412;
+    }
+  } else if (ifUnmodifiedSince !== undefined && !notModifiedSince(ifUnmodifiedSince, mtime)) {
+    return 412;
+  }
+
+  const ifNoneMatch = headers["if-none-match"];
+  const ifModifiedSince = headers["if-modified-since"];
+  if (ifNoneMatch !== undefined) {
+    if (etagMatches(ifNoneMatch, etag, true)) {
+      return method === "GET" || method === "HEAD" ? 304 : 412;
+    }
+  } else if (
+    ifModifiedSince !== undefined &&
+    (method === "GET" || method === "HEAD") &&
+    notModifiedSince(ifModifiedSince, mtime)
+  ) {
+    return 304;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a single-range `Range: bytes=...` header
+ * @returns {{ start: number, end: number } | "unsatisfiable" | null} null means
+ * "serve the whole file" (no header, unsupported unit or multiple ranges)
+ */
+export function parseRange(header, size) {
+  if (!header) {
+    return null;
+  }
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === "" && match[2] === "")) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    // Suffix range: the last N bytes
+    const suffix = Number(match[2]);
+    if (suffix === 0 || size === 0) {
+      return "unsatisfiable";
+    }
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    if (start >= size) {
+      return "unsatisfiable";
+    }
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+    if (end < start) {
+      return null;
+    }
+  }
+
+  return { start, end };
+}
+
+// If-Range: only honour Range when the validator still matches
+function ifRangeMatches(header, etag, mtime) {
+  if (header === undefined) {
+    return true;
+  }
+  if (header.startsWith("W/")) {
+    // Weak validators cannot be used with If-Range
+    return false;
+  }
+  if (header.startsWith('"')) {
+    return header === etag;
+  }
+  const date = Date.parse(header);
+  return !Number.isNaN(date) && Math.floor(mtime.getTime() / 1000) * 1000 === date;
+}
+
+/**
+ * Replace every URI in an HLS playlist (segment and variant playlist lines
+ * and `URI="..."` attributes) with the result of `mapUri`
+ * @param {string} playlist
+ * @param {(uri: string) => string} mapUri
+ * @returns {string}
+ */
+export function mapPlaylistUris(playlist, mapUri) {
+  return playlist
+    .split("\n")
+    .map((line) => {
+      const trimmed = line.trim();
+      if (trimmed === "") {
+        return line;
+      }
+      if (trimmed.startsWith("#")) {
+        return line.replace(/URI="([^"]+)"/g, (_m, uri) => `URI="${mapUri(uri)}"`);
+      }
+      return mapUri(trimmed);
+    })
+    .join("\n");
+}
+
+/**
+ * Whether a playlist URI is absolute (and so not below the playlist)
+ */
+export function isAbsoluteUri(uri) {
+  return /^[a-z]+:\/\//i.test(uri);
+}
+
+/**
+ * Append signature query parameters to every URI in an HLS playlist, so that
+ * relative segment and variant playlist requests carry the token as well
+ */
+export function rewritePlaylist(playlist, query) {
+  if (!query) {
+    return playlist;
+  }
+  return mapPlaylistUris(playlist, (uri) =>
+    isAbsoluteUri(uri) ? uri : `${uri}${uri.includes("?") ? "&" : "?"}${query}`
+  );
+}
+
+/**
+ * Sign the segments of an HLS playlist stored at `blobName` for storage that
+ * cannot sign a whole directory (Azure, S3): segments and other files get
+ * their own signed read URL from `signBlob`, while variant playlists keep
+ * their relative URI with `query`, so they are served (and signed) the same
+ * way as this playlist.
+ * @param {string} playlist
+ * @param {string} blobName - Blob of the playlist; relative URIs resolve against its directory
+ * @param {string} query - Signature query string of the playlist request
+ * @param {(blobName: string) => Promise<string>} signBlob
+ * @returns {Promise<string>}
+ */
+export async function signPlaylist(playlist, blobName, query, signBlob) {
+  const directory = path.posix.dirname(blobName);
+  const signed = new Map();
+  mapPlaylistUris(playlist, (uri) => {
+    if (!isAbsoluteUri(uri) && !signed.has(uri)) {
+      signed.set(uri, null);
+    }
+    return uri;
+  });
+  for (const uri of signed.keys()) {
+    const target = path.posix.normalize(`${directory}/${uri.split("?")[0]}`);
+    if (path.extname(target).toLowerCase() === ".m3u8") {
+      signed.set(uri, `${uri}${uri.includes("?") ? "&" : "?"}${query}`);
+    } else if (target.startsWith(`${directory}/`)) {
+      signed.set(uri, await signBlob(target));
+    } else {
+      // Only files below the playlist are covered by its signature
+      signed.set(uri, uri);
+    }
+  }
+  return mapPlaylistUris(playlist, (uri) => signed.get(uri) ?? uri);
+}
+
+/**
+ * Serve a local file with Range, ETag/Last-Modified and conditional request
+ * support. HLS playlists are rewritten with `playlistQuery` and always sent whole.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {string} [options.playlistQuery] - Query string to propagate into playlist URIs
+ * @param {string} [options.cacheControl]
+ */
+export async function sendLocalFile(req, res, filePath, { playlistQuery, cacheControl = "private, max-age=300" } = {}) {
+  const stats = await fs.promises.stat(filePath);
+  const etag = computeEtag(stats);
+  const contentType = contentTypeFor(filePath);
+
+  res.set({
+    "Accept-Ranges": "bytes",
+    "Cache-Control": cacheControl,
+    ETag: etag,
+    "Last-Modified": stats.mtime.toUTCString(),
+  });
+
+  const conditionalStatus = evaluateConditionals(req.headers, etag, stats.mtime, req.method);
+  if (conditionalStatus !== null) {
+    return res.status(conditionalStatus).end();
+  }
+
+  if (path.extname(filePath).toLowerCase() === ".m3u8") {
+    const playlist = rewritePlaylist(await fs.promises.readFile(filePath, "utf8"), playlistQuery);
+    res.set("Content-Type", contentType);
+    res.set("Content-Length", String(Buffer.byteLength(playlist)));
+    return req.method === "HEAD" ? res.end() : res.end(playlist);
+  }
+
+  let range = ifRangeMatches(req.headers["if-range"], etag, stats.mtime)
+    ? parseRange(req.headers.range, stats.size)
+    : null;
+
+  if (range === "unsatisfiable") {
+    res.set("Content-Range", `bytes */${stats.size}`);
+    return res.status(416).end();
+  }
+
+  if (range) {
+    res.status(206);
+    res.set("Content-Range", `bytes ${range.start}-${range.end}/${stats.size}`);
+  } else {
+    range = { start: 0, end: stats.size - 1 };
+  }
+
+  res.set("Content-Type", contentType);
+  res.set("Content-Length", String(Math.max(0, range.end - range.start + 1)));
+
+  if (req.method === "HEAD" || stats.size === 0) {
+    return res.end();
+  }
+
+  await pipeline(fs.createReadStream(filePath, { start: range.start, end: range.end }), res);
+}
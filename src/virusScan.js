@@ -0,0 +1,99 @@
+import net from "net";
+
+/**
+ * Pluggable virus scanning.
+ *
+ * A scanner is an object with a `name` and an async `scan(stream)` method that
+ * resolves to `{ clean: true }` or `{ clean: false, signature }`. Scanning
+ * errors reject, and callers treat them as a failed upload (fail closed).
+ */
+
+const scanners = {
+  clamd: createClamdScanner,
+};
+
+/**
+ * Register an additional scanner type that can then be selected by name
+ * @param {string} name
+ * @param {(options: object) => { name: string, scan: Function }} factory
+ */
+export function registerVirusScanner(name, factory) {
+  scanners[name] = factory;
+}
+
+/**
+ * Create the configured scanner
+ * @param {string} name - Scanner type ("none" disables scanning)
+ * @param {object} options - Scanner specific options
+ * @returns {{ name: string, scan: Function } | null}
+ */
+export function createVirusScanner(name, options = {}) {
+  if (!name || name === "none") {
+    return null;
+  }
+  const factory = scanners[name];
+  if (!factory) {
+    throw new Error(`Unknown virus scanner: ${name}`);
+  }
+  return factory(options);
+}
+
+/**
+ * clamd scanner using the INSTREAM command over a unix socket or TCP
+ * @param {object} options
+ * @param {string} [options.socketPath] - e.g. /var/run/clamav/clamd.ctl
+ * @param {string} [options.host]
+ * @param {number} [options.port]
+ * @param {number} [options.timeoutMs]
+ */
+export function createClamdScanner({ socketPath, host = "localhost", port = 3310, timeoutMs = 5 * 60 * 1000 }) {
+  async function scan(stream) {
+    const socket = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+    socket.setTimeout(timeoutMs);
+
+    const reply = new Promise((resolve, reject) => {
+      let response = "";
+      socket.on("data", (data) => {
+        response += data.toString();
+      });
+      socket.on("end", () => resolve(response.replace(/\0/g, "").trim()));
+      socket.on("timeout", () => {
+        socket.destroy();
+        reject(new Error("clamd timed out"));
+      });
+      socket.on("error", reject);
+    });
+    // Awaited below; this only prevents an unhandled rejection while streaming
+    reply.catch(() => {});
+
+    socket.write("zINSTREAM\0");
+    for await (const chunk of stream) {
+      if (socket.destroyed) {
+        break;
+      }
+      // Each chunk is prefixed with its length as a 4-byte big-endian integer
+      const size = Buffer.alloc(4);
+      size.writeUInt32BE(chunk.length);
+      if (!socket.write(Buffer.concat([size, chunk]))) {
+        await new Promise((resolve) => {
+          socket.once("drain", resolve);
+          socket.once("close", resolve);
+        });
+      }
+    }
+    socket.end(Buffer.alloc(4));
+
+    const response = await reply;
+    // "stream: OK" or "stream: <signature> FOUND"
+    if (response.endsWith("OK")) {
+      return { clean: true };
+    }
+    const found = /^stream: (.+) FOUND$/.exec(response);
+    if (found) {
+      return { clean: false, signature: found[1] };
+    }
+    throw new Error(`Unexpected clamd response: ${response}`);
+  }
+
+  return { name: "clamd", scan };
+}
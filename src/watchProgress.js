@@ -0,0 +1,243 @@
+/**
+ * Watch progress and playback analytics.
+ *
+ * The player sends a heartbeat every few seconds with its position and
+ * playback rate. Per user and upload we keep the resume position and the
+ * ranges of the video that were actually played: when a heartbeat follows
+ * the previous one closely and the position moved forward by about the
+ * elapsed time, the range in between counts as watched. Seeks, pauses and
+ * long gaps only move the resume position.
+ *
+ * Positions are seconds of the played video (the HLS output, i.e. after a
+ * trim). Lecture statistics are computed from the watched ranges: unique
+ * viewers, completion (a viewer has watched enough of an upload) and an
+ * audience-retention histogram, the share of viewers who watched each bucket
+ * of the timeline.
+ */
+
+import { UPLOAD_STATUS } from "./directUploads.js";
+
+export const MAX_PLAYBACK_RATE = 16;
+
+// Retention buckets are widened for long videos to stay below the maximum count
+export const DEFAULT_RETENTION_BUCKET_SECONDS = 60;
+const MAX_RETENTION_BUCKETS = 1000;
+
+// Playback may run a little faster than the reported rate between heartbeats
+// (timer jitter, buffering catching up)
+const ADVANCE_TOLERANCE_FACTOR = 1.5;
+const ADVANCE_TOLERANCE_SECONDS = 1;
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Validate a heartbeat body
+ * @param {{ position?: unknown, playback_rate?: unknown }} body
+ * @returns {{ error: string } | { position: number, playbackRate: number }}
+ */
+export function parseHeartbeat({ position, playback_rate: playbackRate = 1 }) {
+  if (typeof position !== "number" || !Number.isFinite(position) || position < 0) {
+    return { error: "position must be a non-negative number of seconds" };
+  }
+  if (
+    typeof playbackRate !== "number" ||
+    !Number.isFinite(playbackRate) ||
+    playbackRate <= 0 ||
+    playbackRate > MAX_PLAYBACK_RATE
+  ) {
+    return { error: `playback_rate must be a number above 0 and at most ${MAX_PLAYBACK_RATE}` };
+  }
+  return { position, playbackRate };
+}
+
+/**
+ * Add a range to sorted, non-overlapping ranges
+ * @param {[number, number][]} ranges
+ * @param {number} start
+ * @param {number} end
+ * @returns {[number, number][]}
+ */
+export function addRange(ranges, start, end) {
+  const overlapping = ranges.filter((range) => range[1] >= start && range[0] <= end);
+  return [
+    ...ranges.filter((range) => range[1] < start),
+    [Math.min(start, ...overlapping.map((range) => range[0])), Math.max(end, ...overlapping.map((range) => range[1]))],
+    ...ranges.filter((range) => range[0] > end),
+  ];
+}
+
+// Total length of non-overlapping ranges
+const rangesLength = (ranges) => ranges.reduce((sum, [start, end]) => sum + end - start, 0);
+
+/**
+ * Apply a heartbeat to a user's progress on an upload
+ * @param {object | null} previous - Stored WatchProgress row, null on the first heartbeat
+ * @param {object} heartbeat
+ * @param {number} heartbeat.position - Seconds
+ * @param {number} heartbeat.playbackRate
+ * @param {Date} heartbeat.at
+ * @param {number | null} heartbeat.duration - Seconds of the played video, null if unknown
+ * @param {object} options
+ * @param {number} options.maxGapSeconds - Longest gap between heartbeats of continuous playback
+ * @param {number} options.completionRatio - Share of the video to watch for completion
+ * @returns {{ data: object, playingSeconds: number, completed: boolean }} Columns to store,
+ *   the playing time this heartbeat added and whether it completed the upload
+ */
+export function applyHeartbeat(previous, { position, playbackRate, at, duration }, options) {
+  const clamped = duration ? Math.min(position, duration) : position;
+  let watched = previous?.watched ?? [];
+  let playingTime = 0;
+
+  if (previous) {
+    const elapsed = (at.getTime() - previous.last_heartbeat_at.getTime()) / 1000;
+    const advanced = clamped - previous.position;
+    const rate = Math.max(previous.playback_rate, playbackRate);
+    const continuous =
+      elapsed > 0 &&
+      elapsed <= options.maxGapSeconds &&
+      advanced > 0 &&
+      advanced <= elapsed * rate * ADVANCE_TOLERANCE_FACTOR + ADVANCE_TOLERANCE_SECONDS;
+    if (continuous) {
+      watched = addRange(watched, round(previous.position), round(clamped));
+      playingTime = elapsed;
+    }
+  }
+
+  const watchedSeconds = round(rangesLength(watched));
+  const completed =
+    !previous?.completed_at && Boolean(duration) && watchedSeconds >= duration * options.completionRatio;
+
+  return {
+    data: {
+      position: round(clamped),
+      playback_rate: playbackRate,
+      watched,
+      watched_seconds: watchedSeconds,
+      watch_time_seconds: round((previous?.watch_time_seconds ?? 0) + playingTime),
+      heartbeats: (previous?.heartbeats ?? 0) + 1,
+      last_heartbeat_at: at,
+      ...(completed ? { completed_at: at } : {}),
+    },
+    playingSeconds: playingTime,
+    completed,
+  };
+}
+
+/**
+ * Audience retention of an upload: per bucket of the timeline the number and
+ * share of viewers who watched any of it
+ * @param {{ watched: [number, number][] }[]} rows - WatchProgress rows of the upload
+ * @param {number} duration - Seconds
+ * @param {number} bucketSeconds
+ */
+export function retentionHistogram(rows, duration, bucketSeconds) {
+  const buckets = Array.from({ length: Math.ceil(duration / bucketSeconds) }, (_, index) => ({
+    start: index * bucketSeconds,
+    end: Math.min((index + 1) * bucketSeconds, duration),
+    viewers: 0,
+    ratio: 0,
+  }));
+  for (const { watched } of rows) {
+    const seen = new Set();
+    for (const [start, end] of watched) {
+      const last = Math.min(Math.ceil(end / bucketSeconds), buckets.length);
+      for (let index = Math.floor(start / bucketSeconds); index < last; index++) {
+        seen.add(index);
+      }
+    }
+    for (const index of seen) {
+      buckets[index].viewers++;
+    }
+  }
+  for (const bucket of buckets) {
+    bucket.ratio = rows.length ? round(bucket.viewers / rows.length) : 0;
+  }
+  return buckets;
+}
+
+/**
+ * Viewing statistics of one upload
+ * @param {object} upload - With id, original_filename, position and the played duration
+ * @param {object[]} rows - WatchProgress rows of the upload
+ * @param {number} bucketSeconds - Requested retention bucket width
+ */
+function uploadWatchStats(upload, rows, bucketSeconds) {
+  const completed = rows.filter((row) => row.completed_at).length;
+  const bucket = Math.max(bucketSeconds, Math.ceil((upload.duration ?? 0) / MAX_RETENTION_BUCKETS));
+  return {
+    upload_id: upload.id,
+    original_filename: upload.original_filename,
+    position: upload.position,
+    duration: upload.duration,
+    unique_viewers: rows.length,
+    completed_viewers: completed,
+    completion_rate: rows.length ? round(completed / rows.length) : 0,
+    average_watched_seconds: rows.length
+      ? round(rows.reduce((sum, row) => sum + row.watched_seconds, 0) / rows.length)
+      : 0,
+    watch_time_seconds: round(rows.reduce((sum, row) => sum + row.watch_time_seconds, 0)),
+    bucket_seconds: bucket,
+    retention: upload.duration ? retentionHistogram(rows, upload.duration, bucket) : [],
+  };
+}
+
+/**
+ * Viewing statistics of a lecture and each of its parts. A viewer has
+ * completed the lecture once they completed every part with a known duration.
+ * @param {string} lectureId
+ * @param {object[]} uploads - Current uploads in playlist order, `duration` being the played duration
+ * @param {object[]} rows - WatchProgress rows of the uploads
+ * @param {number} bucketSeconds
+ */
+export function lectureWatchStats(lectureId, uploads, rows, bucketSeconds) {
+  const completedParts = new Map();
+  for (const row of rows) {
+    completedParts.set(row.user_id, (completedParts.get(row.user_id) ?? 0) + (row.completed_at ? 1 : 0));
+  }
+  const required = uploads.filter((upload) => upload.duration).length;
+  const viewers = completedParts.size;
+  const completed = required ? [...completedParts.values()].filter((count) => count >= required).length : 0;
+
+  return {
+    lecture_id: lectureId,
+    unique_viewers: viewers,
+    completed_viewers: completed,
+    completion_rate: viewers ? round(completed / viewers) : 0,
+    watch_time_seconds: round(rows.reduce((sum, row) => sum + row.watch_time_seconds, 0)),
+    uploads: uploads.map((upload) =>
+      uploadWatchStats(
+        upload,
+        rows.filter((row) => row.upload_id === upload.id),
+        bucketSeconds
+      )
+    ),
+  };
+}
+
+/**
+ * Unique and completed viewers of every lecture that has been watched, with
+ * the same definitions as lectureWatchStats (for the Prometheus gauges)
+ * @param {import("@prisma/client").PrismaClient} prisma
+ * @returns {Promise<{ lecture_id: string, unique_viewers: number, completed_viewers: number }[]>}
+ */
+export function lectureWatchTotals(prisma) {
+  return prisma.$queryRaw`
+    WITH uploads AS (
+      SELECT id, lecture_id, duration FROM "VideoUpload"
+      WHERE is_current AND deleted_at IS NULL AND upload_status = ${UPLOAD_STATUS.COMPLETED}
+    ),
+    parts AS (
+      SELECT lecture_id, COUNT(*) FILTER (WHERE duration > 0) AS required FROM uploads GROUP BY lecture_id
+    ),
+    viewers AS (
+      SELECT w.lecture_id, w.user_id, COUNT(w.completed_at) AS completed
+      FROM "WatchProgress" w
+      JOIN uploads u ON u.id = w.upload_id
+      GROUP BY w.lecture_id, w.user_id
+    )
+    SELECT v.lecture_id, COUNT(*)::int AS unique_viewers,
+      (COUNT(*) FILTER (WHERE p.required > 0 AND v.completed >= p.required))::int AS completed_viewers
+    FROM viewers v
+    JOIN parts p ON p.lecture_id = v.lecture_id
+    GROUP BY v.lecture_id`;
+}
@@ -0,0 +1,170 @@
+import crypto from "crypto";
+
+/**
+ * Signed callbacks from the encoding and transcription services.
+ *
+ * Senders sign `<timestamp>.<raw body>` with HMAC-SHA256 and send:
+ * - `webhook-id`         unique delivery ID, used as the idempotency key
+ * - `webhook-timestamp`  unix seconds; deliveries outside the tolerance are rejected
+ * - `webhook-signature`  `v1=<hex digest>`, several space-separated while a
+ *                        secret is being rotated
+ */
+
+export const WEBHOOK_SOURCES = ["encoding", "transcription"];
+
+export const JOB_STATUS = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+// Legal status changes reported by a callback
+const TRANSITIONS = {
+  [JOB_STATUS.PENDING]: [JOB_STATUS.PROCESSING],
+  [JOB_STATUS.PROCESSING]: [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED],
+};
+
+/**
+ * Whether a job may move from one status to another. A job without a
+ * status counts as pending.
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from ?? JOB_STATUS.PENDING] || []).includes(to);
+}
+
+/**
+ * Compute the signature header value for a delivery
+ * @param {string} secret
+ * @param {string | number} timestamp - Unix seconds
+ * @param {Buffer | string} rawBody
+ * @returns {string} `v1=<hex>`
+ */
+export function signWebhook(secret, timestamp, rawBody) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.`).update(rawBody).digest("hex");
+  return `v1=${digest}`;
+}
+
+/**
+ * Verify the signature and timestamp of a delivery
+ * @param {object} delivery
+ * @param {string[]} delivery.secrets - Accepted secrets (old and new while rotating)
+ * @param {string} [delivery.timestamp]
+ * @param {string} [delivery.signature]
+ * @param {Buffer} delivery.rawBody
+ * @param {number} delivery.toleranceSeconds
+ * @returns {{ valid: true } | { valid: false, reason: string }}
+ */
+export function verifyWebhookSignature({ secrets, timestamp, signature, rawBody, toleranceSeconds }) {
+  if (!timestamp || !signature) {
+    return { valid: false, reason: "Missing webhook signature" };
+  }
+  if (!/^\d+$/.test(timestamp)) {
+    return { valid: false, reason: "Invalid webhook timestamp" };
+  }
+  if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > toleranceSeconds) {
+    return { valid: false, reason: "Webhook timestamp outside the allowed window" };
+  }
+
+  const received = signature.split(/\s+/).filter((value) => value.startsWith("v1="));
+  const matches = secrets.some((secret) => {
+    const expected = Buffer.from(signWebhook(secret, timestamp, rawBody));
+    return received.some((value) => {
+      const candidate = Buffer.from(value);
+      return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+    });
+  });
+  if (!matches) {
+    return { valid: false, reason: "Invalid webhook signature" };
+  }
+  return { valid: true };
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const CALLBACK_STATUSES = [JOB_STATUS.PROCESSING, JOB_STATUS.COMPLETED, JOB_STATUS.FAILED];
+
+/**
+ * Callback body schemas. Fields: `type` ("string" | "integer"), `required`,
+ * `enum`, `format` ("uuid" | "url"), `pattern`, `minimum`, `maxLength`;
+ * `requiredWhenCompleted` lists fields a "completed" callback must carry.
+ * Unknown fields are ignored.
+ */
+export const CALLBACK_SCHEMAS = {
+  encoding: {
+    fields: {
+      upload_id: { type: "string", format: "uuid", required: true },
+      status: { type: "string", enum: CALLBACK_STATUSES, required: true },
+      hls_url: { type: "string", format: "url", maxLength: 2048 },
+      duration: { type: "integer", minimum: 0 },
+      resolution: { type: "string", pattern: /^\d+x\d+$/ },
+      error: { type: "string", maxLength: 4000 },
+    },
+    requiredWhenCompleted: ["hls_url"],
+  },
+  transcription: {
+    fields: {
+      job_id: { type: "string", format: "uuid", required: true },
+      status: { type: "string", enum: CALLBACK_STATUSES, required: true },
+      language: { type: "string", pattern: /^[a-z]{2,3}(-[A-Za-z0-9]+)*$/ },
+      transcript_json_blob: { type: "string", maxLength: 1024 },
+      transcript_vtt_blob: { type: "string", maxLength: 1024 },
+      error: { type: "string", maxLength: 4000 },
+    },
+    requiredWhenCompleted: ["transcript_json_blob", "transcript_vtt_blob"],
+  },
+};
+
+function fieldError(name, rule, value) {
+  if (rule.type === "integer" ? !Number.isSafeInteger(value) : typeof value !== rule.type) {
+    return `${name} must be ${rule.type === "integer" ? "an integer" : `a ${rule.type}`}`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${name} must be one of: ${rule.enum.join(", ")}`;
+  }
+  if (rule.format === "uuid" && !UUID_PATTERN.test(value)) {
+    return `${name} must be a UUID`;
+  }
+  if (rule.format === "url" && !URL.canParse(value)) {
+    return `${name} must be a URL`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return `${name} has an invalid format`;
+  }
+  if (rule.minimum !== undefined && value < rule.minimum) {
+    return `${name} must be at least ${rule.minimum}`;
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `${name} must be at most ${rule.maxLength} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validate a callback body against its schema
+ * @param {{ fields: object, requiredWhenCompleted: string[] }} schema
+ * @param {unknown} body
+ * @returns {string[]} Validation errors, empty if the body is valid
+ */
+export function validateCallback(schema, body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return ["Body must be a JSON object"];
+  }
+  const errors = [];
+  for (const [name, rule] of Object.entries(schema.fields)) {
+    const value = body[name];
+    if (value === undefined || value === null) {
+      const required =
+        rule.required || (body.status === JOB_STATUS.COMPLETED && schema.requiredWhenCompleted.includes(name));
+      if (required) {
+        errors.push(`${name} is required`);
+      }
+      continue;
+    }
+    const error = fieldError(name, rule, value);
+    if (error) {
+      errors.push(error);
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,65 @@
+import express from "express";
+import client from "prom-client";
+import { PrismaClient } from "@prisma/client";
+import {
+  env,
+  createConfiguredStorage,
+  JOB_CONCURRENCY,
+  JOB_POLL_INTERVAL_SECONDS,
+  JOB_LEASE_SECONDS,
+} from "./config.js";
+import { createJobQueue, createJobMetrics } from "./jobQueue.js";
+import { createJobDefinitions } from "./jobs.js";
+
+/**
+ * Background job worker, as a process of its own:
+ *
+ *   npm run worker
+ *
+ * Runs the jobs of the queue and enqueues the scheduled ones, like the worker
+ * in the API server (set JOB_WORKER_ENABLED=false there to leave the jobs to
+ * dedicated workers). Any number of workers can run side by side. Serves
+ * `/metrics` and `/healthz` on JOB_WORKER_PORT; on SIGTERM it stops taking
+ * jobs and lets the running ones finish.
+ */
+
+const PORT = Number(env("JOB_WORKER_PORT", "3001"));
+const SHUTDOWN_GRACE_SECONDS = 30;
+
+const prisma = new PrismaClient();
+const storage = createConfiguredStorage();
+const { definitions, schedules } = createJobDefinitions({ prisma, storage });
+const jobQueue = createJobQueue({ prisma, definitions });
+
+client.collectDefaultMetrics();
+const worker = jobQueue.startWorker({
+  schedules,
+  concurrency: JOB_CONCURRENCY,
+  pollIntervalMs: JOB_POLL_INTERVAL_SECONDS * 1000,
+  leaseMs: JOB_LEASE_SECONDS * 1000,
+  metrics: createJobMetrics(prisma),
+});
+
+const app = express();
+app.get("/metrics", async (_req, res) => {
+  res.set("Content-Type", client.register.contentType);
+  res.end(await client.register.metrics());
+});
+app.get("/healthz", (_req, res) => res.send("OK"));
+
+const server = app.listen(PORT, () => {
+  console.log(`svc-video job worker listening on port ${PORT}`);
+  console.log(`Storage driver: ${storage.name}`);
+  console.log(`Job types: ${Object.keys(definitions).join(", ")}`);
+});
+
+async function shutdown(signal) {
+  console.log(`[JOBS] ${signal} received, waiting for running jobs`);
+  server.close();
+  await worker.stop(SHUTDOWN_GRACE_SECONDS * 1000);
+  await prisma.$disconnect();
+  process.exit(0);
+}
+
+process.once("SIGTERM", shutdown);
+process.once("SIGINT", shutdown);
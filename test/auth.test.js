@@ -0,0 +1,35 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ROLES, canManage, canView, createAuthenticator } from "../src/auth.js";
+
+const COURSE = "11111111-1111-1111-1111-111111111111";
+const OTHER_COURSE = "22222222-2222-2222-2222-222222222222";
+
+test("teachers manage uploads of their own courses only", () => {
+  const teacher = { sub: "t1", roles: [ROLES.TEACHER], courses: [COURSE] };
+  assert.equal(canManage(teacher, "u1", COURSE), true);
+  assert.equal(canManage(teacher, "u1", OTHER_COURSE), false);
+  assert.equal(canManage(teacher, "u1", null), false);
+  assert.equal(canManage(teacher, "t1", null), true);
+});
+
+test("uploaders and administrators manage uploads of any course", () => {
+  assert.equal(canManage({ sub: "u1", roles: [ROLES.STUDENT], courses: [] }, "u1", OTHER_COURSE), true);
+  assert.equal(canManage({ sub: "a1", roles: [ROLES.ADMIN], courses: [] }, "u1", OTHER_COURSE), true);
+  assert.equal(canManage({ sub: "s1", roles: [ROLES.STUDENT], courses: [COURSE] }, "u1", COURSE), false);
+});
+
+test("members of the course view its uploads", () => {
+  const student = { sub: "s1", roles: [ROLES.STUDENT], courses: [COURSE] };
+  assert.equal(canView(student, "u1", COURSE), true);
+  assert.equal(canView(student, "u1", OTHER_COURSE), false);
+  assert.equal(canView(student, "u1", null), false);
+  assert.equal(canView({ sub: null, roles: [ROLES.SERVICE], courses: [] }, "u1", OTHER_COURSE), true);
+});
+
+test("course membership is read from the x-user-courses header", () => {
+  const authenticate = createAuthenticator({ mode: "headers" });
+  const req = { headers: { "x-user-sub": "t1", "x-user-roles": "teacher", "x-user-courses": `${COURSE}, ${OTHER_COURSE}` } };
+  authenticate(req, {}, () => {});
+  assert.deepEqual(req.user, { sub: "t1", roles: [ROLES.TEACHER], courses: [COURSE, OTHER_COURSE] });
+});
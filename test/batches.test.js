@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { BATCH_STATUS, createBatchRunner } from "../src/batches.js";
+
+// A batch whose items are already resolved, in a minimal stand-in for Prisma
+function batchStore() {
+  const batch = { id: "b1", operation: "export", status: BATCH_STATUS.QUEUED, total_items: 1, error: null };
+  const prisma = {
+    batch: {
+      async updateMany({ where, data }) {
+        const statuses = where.status.in ?? [where.status];
+        if (!statuses.includes(batch.status)) {
+          return { count: 0 };
+        }
+        Object.assign(batch, data);
+        return { count: 1 };
+      },
+      async findUnique() {
+        return { ...batch };
+      },
+    },
+    batchItem: {
+      async findMany() {
+        return [{ id: "i1", upload_id: "u1", status: "pending" }];
+      },
+    },
+  };
+  return { batch, prisma };
+}
+
+const silent = { log() {}, error() {} };
+
+test("a batch that times out on its last attempt fails", async () => {
+  const { batch, prisma } = batchStore();
+  const { runBatch } = createBatchRunner({ prisma, logger: silent });
+  const controller = new AbortController();
+  controller.abort(new Error("Timed out after 7200 seconds"));
+
+  await assert.rejects(
+    runBatch("b1", { job: { attempts: 3, max_attempts: 3 }, signal: controller.signal }),
+    /Timed out/
+  );
+  assert.equal(batch.status, BATCH_STATUS.FAILED);
+  assert.equal(batch.error, "Timed out after 7200 seconds");
+});
+
+test("a batch that times out before its last attempt keeps running for the retry", async () => {
+  const { batch, prisma } = batchStore();
+  const { runBatch } = createBatchRunner({ prisma, logger: silent });
+  const controller = new AbortController();
+  controller.abort(new Error("Timed out after 7200 seconds"));
+
+  await assert.rejects(runBatch("b1", { job: { attempts: 1, max_attempts: 3 }, signal: controller.signal }));
+  assert.equal(batch.status, BATCH_STATUS.RUNNING);
+});
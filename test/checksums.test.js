@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { Readable } from "stream";
+import { checksumMismatches, hashStream, parseDigestHeaders } from "../src/checksums.js";
+
+const CONTENT = Buffer.from("not really a video");
+const SHA256 = crypto.createHash("sha256").update(CONTENT).digest();
+const MD5 = crypto.createHash("md5").update(CONTENT).digest();
+
+test("Digest, Repr-Digest and Content-MD5 are read as hex digests", () => {
+  assert.deepEqual(
+    parseDigestHeaders({ digest: `SHA-256=${SHA256.toString("base64")}, md5=${MD5.toString("base64")}` }),
+    { sha256: SHA256.toString("hex"), md5: MD5.toString("hex") }
+  );
+  assert.deepEqual(parseDigestHeaders({ "repr-digest": `sha-256=:${SHA256.toString("base64")}:` }), {
+    sha256: SHA256.toString("hex"),
+  });
+  assert.deepEqual(parseDigestHeaders({ "content-md5": MD5.toString("base64") }), { md5: MD5.toString("hex") });
+});
+
+test("unknown algorithms and absent headers are ignored", () => {
+  assert.deepEqual(parseDigestHeaders({}), {});
+  assert.deepEqual(parseDigestHeaders({ digest: "sha-512=abc, unixsum=30637" }), {});
+});
+
+test("malformed digests are rejected", () => {
+  assert.deepEqual(parseDigestHeaders({ digest: `sha-256=${MD5.toString("base64")}` }), {
+    error: "Invalid sha-256 value in the digest header",
+  });
+  assert.deepEqual(parseDigestHeaders({ "repr-digest": `md5=:${SHA256.toString("hex")}:` }), {
+    error: "Invalid md5 value in the repr-digest header",
+  });
+  assert.deepEqual(parseDigestHeaders({ "content-md5": MD5.toString("hex") }), {
+    error: "Content-MD5 must be the base64 MD5 digest of the file",
+  });
+});
+
+test("headers that declare different checksums are rejected", () => {
+  const other = crypto.createHash("md5").update("other").digest("base64");
+  assert.deepEqual(parseDigestHeaders({ digest: `md5=${MD5.toString("base64")}`, "content-md5": other }), {
+    error: "content-md5 contradicts another declared MD5 checksum",
+  });
+  // The same checksum may be declared twice
+  assert.deepEqual(
+    parseDigestHeaders({ digest: `md5=${MD5.toString("base64")}`, "content-md5": MD5.toString("base64") }),
+    { md5: MD5.toString("hex") }
+  );
+});
+
+test("declared checksums are verified against the content", async () => {
+  const actual = await hashStream(Readable.from([CONTENT.subarray(0, 5), CONTENT.subarray(5)]));
+  assert.deepEqual(actual, { sha256: SHA256.toString("hex"), md5: MD5.toString("hex") });
+
+  assert.deepEqual(checksumMismatches({ sha256: SHA256.toString("hex") }, actual), []);
+  assert.deepEqual(checksumMismatches({ sha256: "0".repeat(64), md5: MD5.toString("hex") }, actual), ["sha256"]);
+  assert.deepEqual(checksumMismatches({ sha256: null, md5: null }, actual), []);
+});
@@ -0,0 +1,27 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { isPublicAddress } from "../src/remoteImport.js";
+
+test("public IPv4 and IPv6 addresses are allowed", () => {
+  for (const address of ["8.8.8.8", "1.1.1.1", "::ffff:8.8.8.8", "2606:4700::1111"]) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+});
+
+test("private and reserved IPv4 addresses are rejected", () => {
+  for (const address of ["10.0.0.1", "127.0.0.1", "169.254.169.254", "192.168.1.1", "0.0.0.0"]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+});
+
+test("IPv4-mapped and IPv4-compatible addresses are checked by the embedded IPv4 address", () => {
+  for (const address of ["::ffff:10.0.0.1", "::ffff:7f00:1", "0:0:0:0:0:ffff:a9fe:a9fe", "::7f00:1", "::a00:1"]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+});
+
+test("reserved IPv6 addresses are rejected", () => {
+  for (const address of ["::", "::1", "fe80::1", "fc00::1", "64:ff9b::808:808", "2002::1", "not an address"]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+});
@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_LIST_LIMIT, encodeCursor, parseMetadataFilters, parseUploadListQuery } from "../src/uploadQuery.js";
+
+const LECTURE = "11111111-1111-1111-1111-111111111111";
+const OTHER_LECTURE = "22222222-2222-2222-2222-222222222222";
+const UPLOAD = "33333333-3333-3333-3333-333333333333";
+
+test("without parameters the newest completed uploads are listed", () => {
+  const query = parseUploadListQuery({});
+  assert.deepEqual(query.where, { deleted_at: null, upload_status: "completed" });
+  assert.equal(query.cursorWhere, null);
+  assert.deepEqual(query.orderBy, [{ created_at: "desc" }, { id: "desc" }]);
+  assert.equal(query.take, DEFAULT_LIST_LIMIT);
+  assert.equal(query.select.id, true);
+  assert.equal(query.select.created_at, true);
+});
+
+test("filters become Prisma conditions", () => {
+  const query = parseUploadListQuery({
+    lecture_id: `${LECTURE}, ${OTHER_LECTURE}`,
+    encoding_status: "pending,failed",
+    sha256: "A".repeat(64),
+    is_current: "true",
+    created_after: "2025-01-01",
+    created_before: "2025-02-01T00:00:00Z",
+    min_size: "1024",
+  });
+  assert.deepEqual(query.where.lecture_id, { in: [LECTURE, OTHER_LECTURE] });
+  assert.deepEqual(query.where.encoding_status, { in: ["pending", "failed"] });
+  assert.equal(query.where.sha256, "a".repeat(64));
+  assert.equal(query.where.is_current, true);
+  assert.deepEqual(query.where.created_at, {
+    gte: new Date("2025-01-01"),
+    lt: new Date("2025-02-01T00:00:00Z"),
+  });
+  assert.deepEqual(query.where.file_size, { gte: 1024 });
+});
+
+test("invalid filters are rejected", () => {
+  for (const [params, error] of [
+    [{ lecture_id: "abc" }, /lecture_id must be a comma-separated list of UUIDs/],
+    [{ course_id: "," }, /course_id must be a comma-separated list of UUIDs/],
+    [{ encoding_status: "done" }, /encoding_status must be a comma-separated list of/],
+    [{ sha256: "abc" }, /sha256 must be a hex SHA-256 digest/],
+    [{ is_primary: "yes" }, /is_primary must be true or false/],
+    [{ updated_before: "yesterday" }, /updated_after and updated_before must be ISO 8601 dates/],
+    [{ max_size: "-1" }, /min_size and max_size must be non-negative integers/],
+    [{ sort: "title" }, /sort must be one of/],
+    [{ fields: "id,secret" }, /Unknown fields: secret/],
+    [{ limit: "0" }, /limit must be an integer between 1 and 100/],
+    [{ limit: "101" }, /limit must be an integer between 1 and 100/],
+  ]) {
+    assert.match(parseUploadListQuery(params).error, error, JSON.stringify(params));
+  }
+});
+
+test("metadata filters match all words and tags", () => {
+  const { where } = parseMetadataFilters({ q: " linear  algebra ", language: "sl,en-GB", tags: "Exam, Week 1" });
+  assert.equal(where.AND.length, 2);
+  assert.deepEqual(where.AND[0].OR[0], { title: { contains: "linear", mode: "insensitive" } });
+  assert.deepEqual(where.language, { in: ["sl", "en-GB"] });
+  assert.deepEqual(where.tags, { hasEvery: ["exam", "week 1"] });
+  assert.match(parseMetadataFilters({ q: "  " }).error, /q must not be empty/);
+  assert.match(parseMetadataFilters({ language: "Slovenian" }).error, /language must be/);
+});
+
+test("a cursor continues after the last row of its sort", () => {
+  const cursor = encodeCursor("-created_at", { id: UPLOAD, created_at: new Date("2025-03-01T10:00:00Z") });
+  const query = parseUploadListQuery({ cursor });
+  const createdAt = new Date("2025-03-01T10:00:00Z");
+  assert.deepEqual(query.cursorWhere, {
+    OR: [{ created_at: { lt: createdAt } }, { created_at: createdAt, id: { lt: UPLOAD } }],
+  });
+
+  const bySize = encodeCursor("file_size", { id: UPLOAD, file_size: 42n });
+  const ascending = parseUploadListQuery({ sort: "file_size", cursor: bySize });
+  assert.deepEqual(ascending.cursorWhere, { OR: [{ file_size: { gt: 42n } }, { file_size: 42n, id: { gt: UPLOAD } }] });
+});
+
+test("cursors of another sort or tampered cursors are rejected", () => {
+  const cursor = encodeCursor("-created_at", { id: UPLOAD, created_at: new Date() });
+  assert.equal(parseUploadListQuery({ sort: "created_at", cursor }).error, "The cursor belongs to a different sort");
+  assert.equal(parseUploadListQuery({ cursor: "not-a-cursor" }).error, "Invalid cursor");
+  const tampered = Buffer.from(JSON.stringify({ s: "-created_at", v: "x", id: "1 OR 1=1" })).toString("base64url");
+  assert.equal(parseUploadListQuery({ cursor: tampered }).error, "Invalid cursor");
+});
@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { SESSION_STATUS, parseContentRange, sessionResponse } from "../src/uploadSessions.js";
+
+test("Content-Range is parsed into inclusive byte positions", () => {
+  assert.deepEqual(parseContentRange("bytes 0-5242879/10000000"), { start: 0, end: 5242879, total: 10000000 });
+  assert.deepEqual(parseContentRange(" bytes 9999999-9999999/10000000 "), { start: 9999999, end: 9999999, total: 10000000 });
+});
+
+test("malformed or impossible ranges are rejected", () => {
+  for (const header of [
+    undefined,
+    "",
+    "bytes */10000000",
+    "bytes 0-99",
+    "items 0-99/100",
+    "bytes -1-99/100",
+    "bytes 100-99/200",
+    "bytes 0-100/100",
+  ]) {
+    assert.equal(parseContentRange(header), null, String(header));
+  }
+});
+
+test("sessions are returned without their storage internals", () => {
+  const session = {
+    id: "s1",
+    lecture_id: "l1",
+    course_id: "c1",
+    user_id: "u1",
+    original_filename: "talk.mp4",
+    mime_type: "video/mp4",
+    upload_length: 10000000n,
+    upload_offset: 5242880n,
+    blob_container: "videos",
+    blob_name: "l1_1_talk.mp4",
+    multipart_upload_id: "m1",
+    block_ids: ["b0"],
+    chunk_locked_until: null,
+    status: SESSION_STATUS.ACTIVE,
+    video_upload_id: null,
+    expires_at: new Date("2025-07-01T00:00:00Z"),
+    created_at: new Date("2025-06-30T00:00:00Z"),
+  };
+  assert.deepEqual(sessionResponse(session), {
+    id: "s1",
+    lecture_id: "l1",
+    original_filename: "talk.mp4",
+    mime_type: "video/mp4",
+    upload_length: 10000000,
+    upload_offset: 5242880,
+    status: SESSION_STATUS.ACTIVE,
+    video_upload_id: null,
+    expires_at: session.expires_at,
+    created_at: session.created_at,
+  });
+});
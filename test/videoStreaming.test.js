@@ -0,0 +1,28 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { rewritePlaylist, signPlaylist } from "../src/videoStreaming.js";
+
+const MASTER = "#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000\n360p/index.m3u8\n";
+const MEDIA = '#EXTM3U\n#EXT-X-MAP:URI="init.mp4"\n#EXTINF:6.0,\nsegment_0000.ts\n#EXTINF:6.0,\nhttps://cdn.example/x.ts\n';
+
+test("local playlists carry the token on every relative URI", () => {
+  assert.equal(rewritePlaylist(MASTER, "sig=abc"), MASTER.replace("index.m3u8", "index.m3u8?sig=abc"));
+});
+
+test("variant playlists keep the token and stay relative", async () => {
+  const signed = await signPlaylist(MASTER, "talk/hls/master.m3u8", "sig=abc", async () => assert.fail("signed"));
+  assert.match(signed, /^360p\/index\.m3u8\?sig=abc$/m);
+});
+
+test("segments get their own signed storage URL", async () => {
+  const signed = await signPlaylist(MEDIA, "talk/hls/360p/index.m3u8", "sig=abc", async (blob) => `https://s/${blob}?sas`);
+  assert.match(signed, /^https:\/\/s\/talk\/hls\/360p\/segment_0000\.ts\?sas$/m);
+  assert.match(signed, /URI="https:\/\/s\/talk\/hls\/360p\/init\.mp4\?sas"/);
+  assert.match(signed, /^https:\/\/cdn\.example\/x\.ts$/m);
+});
+
+test("files outside the playlist's directory are not signed", async () => {
+  const playlist = "#EXTM3U\n#EXTINF:6.0,\n../../other/secret.ts\n";
+  const signed = await signPlaylist(playlist, "talk/hls/360p/index.m3u8", "sig=abc", async () => assert.fail("signed"));
+  assert.equal(signed, playlist);
+});
@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { signWebhook, verifyWebhookSignature } from "../src/webhooks.js";
+
+const BODY = Buffer.from('{"upload_id":"u1","status":"completed"}');
+
+// A delivery signed now with `secret`, as the sender would send it
+function delivery(secret, { timestamp = String(Math.floor(Date.now() / 1000)), rawBody = BODY } = {}) {
+  return { timestamp, signature: signWebhook(secret, timestamp, rawBody), rawBody };
+}
+
+const verify = (request, secrets = ["current"]) =>
+  verifyWebhookSignature({ secrets, toleranceSeconds: 300, ...request });
+
+test("a delivery signed with an accepted secret is valid", () => {
+  assert.deepEqual(verify(delivery("current")), { valid: true });
+  // While rotating, the old secret is accepted too
+  assert.deepEqual(verify(delivery("old"), ["current", "old"]), { valid: true });
+});
+
+test("the signature covers the body and the timestamp", () => {
+  const signed = delivery("current");
+  assert.deepEqual(verify({ ...signed, rawBody: Buffer.from('{"upload_id":"u2"}') }), {
+    valid: false,
+    reason: "Invalid webhook signature",
+  });
+  assert.deepEqual(verify({ ...signed, timestamp: String(Number(signed.timestamp) - 1) }), {
+    valid: false,
+    reason: "Invalid webhook signature",
+  });
+  assert.deepEqual(verify(delivery("other")), { valid: false, reason: "Invalid webhook signature" });
+});
+
+test("one of several space-separated signatures may match", () => {
+  const signed = delivery("current");
+  assert.deepEqual(verify({ ...signed, signature: `v1=${"0".repeat(64)} ${signed.signature}` }), { valid: true });
+  assert.deepEqual(verify({ ...signed, signature: signed.signature.replace("v1=", "v0=") }), {
+    valid: false,
+    reason: "Invalid webhook signature",
+  });
+});
+
+test("deliveries outside the timestamp tolerance are rejected", () => {
+  const now = Math.floor(Date.now() / 1000);
+  for (const timestamp of [now - 301, now + 301]) {
+    assert.deepEqual(verify(delivery("current", { timestamp: String(timestamp) })), {
+      valid: false,
+      reason: "Webhook timestamp outside the allowed window",
+    });
+  }
+  assert.deepEqual(verify(delivery("current", { timestamp: String(now - 299) })), { valid: true });
+});
+
+test("missing or malformed signature headers are rejected", () => {
+  const signed = delivery("current");
+  assert.deepEqual(verify({ ...signed, signature: undefined }), { valid: false, reason: "Missing webhook signature" });
+  assert.deepEqual(verify({ ...signed, timestamp: undefined }), { valid: false, reason: "Missing webhook signature" });
+  assert.deepEqual(verify({ ...signed, timestamp: "1e9" }), { valid: false, reason: "Invalid webhook timestamp" });
+});